@@ -1,14 +1,187 @@
+const EXCAVATION_TYPES = ['العادي', 'الطارئ', 'المتعدد', 'توصيلة المباني', 'مخططات جديدة'];
+const ROAD_TYPES = ['Soil', 'Asphalt', 'tiles/blocks'];
+const RATE_UNITS = { m: 'per m', m2: 'per m²', m3: 'per m³' };
+const RATES_STORAGE_KEY = 'mapDrawingRates';
+const SCHEMA_STORAGE_KEY = 'mapDrawingSchema';
+const FIELD_TYPES = { number: 'Number', text: 'Text', select: 'Dropdown', date: 'Date', boolean: 'Yes/No' };
+// Depth, width and the two types feed the quantities and unit prices, so they can be
+// relabelled but not removed or retyped. Width does not apply to polygons.
+const DEFAULT_SCHEMA = [
+    { key: 'depth', label: 'Depth', arabic: 'العمق', type: 'number', unit: 'm', required: false, builtIn: true },
+    { key: 'width', label: 'Width', arabic: 'العرض', type: 'number', unit: 'm', required: false, builtIn: true, linesOnly: true },
+    { key: 'excavationType', label: 'Excavation Type', arabic: 'نوع الحفر', type: 'select', unit: '', required: true, builtIn: true, options: EXCAVATION_TYPES },
+    { key: 'roadType', label: 'Road Type', arabic: 'نوع الطريق', type: 'select', unit: '', required: true, builtIn: true, options: ROAD_TYPES }
+];
+// Line properties a custom field may not overwrite
+const RESERVED_FIELD_KEYS = ['id', 'type', 'points', 'start', 'end', 'distance', 'area', 'volume', 'cost', 'polyline', 'markers', 'distanceLabel',
+    'shape', 'workOrderNo', 'workType', 'fromNode', 'toNode', 'crs'];
+const GPS_SETTINGS_STORAGE_KEY = 'mapDrawingGpsSettings';
+const VALIDATION_STORAGE_KEY = 'mapDrawingValidation';
+// ranges: `${excavationType}|${fieldKey}` → { min, max }; onFailure: 'warn' | 'block'
+const DEFAULT_VALIDATION_RULES = {
+    requireWorkOrderNo: true,
+    requiredFields: ['depth', 'width'],
+    minLength: 0.5,
+    checkOverlaps: true,
+    ranges: {},
+    onFailure: 'warn'
+};
+const VALIDATION_DELAY = 300;
+// Segments closer than this (metres) count as lying on top of each other
+const OVERLAP_TOLERANCE = 0.05;
+const DEFAULT_GPS_SETTINGS = { duration: 10, targetAccuracy: 3, maxAccuracy: 10, onPoorAccuracy: 'warn' };
+const MIN_GPS_SAMPLES = 3;
+const TRACE_MIN_DISTANCE = 2;
+const TRACE_SIMPLIFY_TOLERANCE = 0.5;
+// GPX has no element for a fix's accuracy in metres, so the trace export adds its own
+const GPX_EXTENSIONS_NAMESPACE = 'urn:map-drawing:gpx:1';
+// Endpoints closer than this (metres) are joined into one network node
+const NODE_TOLERANCE = 0.01;
+const TOUCH_HANDLE_RADIUS = 14;
+const LONG_PRESS_DELAY = 550;
+const LONG_PRESS_TOLERANCE = 10;
+// Degrees two fingers must turn before a pinch also rotates the map
+const ROTATE_GESTURE_THRESHOLD = 10;
+const CLICK_SUPPRESS_DELAY = 400;
+const HEADING_UPDATE_INTERVAL = 100;
+
+const DB_NAME = 'mapDrawingApp';
+const DB_VERSION = 2;
+const AUTOSAVE_DELAY = 1000;
+// Saved drawing files carry { format, version }. Older files are upgraded one step at a
+// time: DRAWING_MIGRATIONS[n] turns version n into n + 1.
+const DRAWING_FORMAT = 'map-drawing';
+const DRAWING_FORMAT_VERSION = 2;
+// CSV import: rows shown in the preview, candidate delimiters and encodings. Windows-1256
+// is what Excel writes for Arabic text when a CSV is not saved as UTF-8.
+const CSV_PREVIEW_ROWS = 50;
+const CSV_DELIMITERS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+const CSV_ENCODINGS = { 'utf-8': 'UTF-8', 'windows-1256': 'Arabic (Windows-1256)', 'utf-16le': 'UTF-16', 'iso-8859-1': 'Latin-1' };
+const DRAWING_MIGRATIONS = [
+    // 0 → 1: the first release saved a bare array of lines
+    data => ({ lines: data }),
+    // 1 → 2: unversioned objects, where two-point lines may only have start and end
+    data => ({
+        ...data,
+        lines: Array.isArray(data.lines) ? data.lines.map(line => line && !line.points && line.start && line.end
+            ? { ...line, points: [line.start, line.end] }
+            : line) : data.lines
+    })
+];
+const HISTORY_LIMIT = 100;
+
+// Projected coordinate systems for plans and survey data. UTM zones use k0 0.9996 and
+// a 500 km false easting; Ain el Abd 1970 is shifted to WGS 84 with three parameters.
+const ELLIPSOIDS = {
+    wgs84: { a: 6378137, f: 1 / 298.257223563 },
+    intl1924: { a: 6378388, f: 1 / 297 }
+};
+const PROJECTED_CRS = {
+    'EPSG:32636': { name: 'WGS 84 / UTM zone 36N', ellipsoid: 'wgs84', zone: 36 },
+    'EPSG:32637': { name: 'WGS 84 / UTM zone 37N', ellipsoid: 'wgs84', zone: 37 },
+    'EPSG:32638': { name: 'WGS 84 / UTM zone 38N', ellipsoid: 'wgs84', zone: 38 },
+    'EPSG:32639': { name: 'WGS 84 / UTM zone 39N', ellipsoid: 'wgs84', zone: 39 },
+    'EPSG:20437': { name: 'Ain el Abd 1970 / UTM zone 37N', ellipsoid: 'intl1924', zone: 37, toWgs84: [-143, -236, 7] },
+    'EPSG:20438': { name: 'Ain el Abd 1970 / UTM zone 38N', ellipsoid: 'intl1924', zone: 38, toWgs84: [-143, -236, 7] }
+};
+const MIN_CONTROL_POINTS = 3;
+// Coordinates in the table, tooltips, entry form and exports; lat/lng or one of PROJECTED_CRS
+const OUTPUT_CRS_STORAGE_KEY = 'mapDrawingOutputCrs';
+const GEOGRAPHIC_CRS = 'EPSG:4326';
+
+// Must match TILE_CACHE in sw.js
+const TILE_CACHE = 'map-tiles-v1';
+const MAX_OFFLINE_TILES = 5000;
+const TILE_DOWNLOAD_CONCURRENCY = 4;
+
+// A4 at 150 dpi; each page becomes a JPEG image on a 595 × 842 pt PDF page
+const REPORT_PAGE = { width: 1240, height: 1754, margin: 80 };
+const REPORT_TEXT = {
+    en: {
+        title: 'Excavation Site Report', workOrderNo: 'Work Order No', workType: 'Work Type', date: 'Date',
+        lineCount: 'Lines', totalLength: 'Total length (m)', totalArea: 'Restoration area (m²)', totalVolume: 'Volume (m³)',
+        totalCost: 'Estimated cost', map: 'Site Map', lines: 'Line Schedule', summary: 'Quantities by Road and Excavation Type',
+        roadType: 'Road Type', excavationType: 'Excavation Type', length: 'Length (m)', area: 'Area (m²)',
+        volume: 'Volume (m³)', cost: 'Cost', total: 'Total', line: 'Line', polygon: 'Polygon',
+        photos: 'Site Photos', linkedLine: 'Line', position: 'Position', taken: 'Taken', heading: 'Heading',
+        notes: 'Notes', signOff: 'Sign-off', preparedBy: 'Prepared by', supervisor: 'Supervisor',
+        signature: 'Signature', page: 'Page', of: 'of', none: '—', crs: 'Coordinate system'
+    },
+    ar: {
+        title: 'تقرير موقع الحفر', workOrderNo: 'رقم أمر العمل', workType: 'نوع العمل', date: 'التاريخ',
+        lineCount: 'عدد الخطوط', totalLength: 'إجمالي الطول (م)', totalArea: 'مساحة الترميم (م²)', totalVolume: 'الحجم (م³)',
+        totalCost: 'التكلفة التقديرية', map: 'خريطة الموقع', lines: 'جدول الخطوط', summary: 'الكميات حسب نوع الطريق ونوع الحفر',
+        roadType: 'نوع الطريق', excavationType: 'نوع الحفر', length: 'الطول (م)', area: 'المساحة (م²)',
+        volume: 'الحجم (م³)', cost: 'التكلفة', total: 'الإجمالي', line: 'خط', polygon: 'مضلع',
+        photos: 'صور الموقع', linkedLine: 'الخط', position: 'الإحداثيات', taken: 'وقت الالتقاط', heading: 'الاتجاه',
+        notes: 'ملاحظات', signOff: 'الاعتماد', preparedBy: 'أعدّه', supervisor: 'المشرف',
+        signature: 'التوقيع', page: 'صفحة', of: 'من', none: '—', crs: 'نظام الإحداثيات'
+    }
+};
+
+// Indexes into the cellXfs list written by createWorkbook
+const XLSX_STYLES = { text: 1, header: 2, number: 3, decimal6: 4, decimal2: 5, title: 6, label: 7, totalNumber: 8, totalText: 7, decimal3: 9 };
+
+// A plan image drawn through an affine transform (image pixels → spherical-mercator
+// metres), which L.imageOverlay cannot do because it only stretches to bounds.
+const PlanImageLayer = L.Layer.extend({
+    initialize(url, transform, options) {
+        this._url = url;
+        this._transform = transform;
+        L.setOptions(this, options);
+    },
+    
+    onAdd() {
+        if (!this._image) {
+            this._image = L.DomUtil.create('img', 'plan-image leaflet-zoom-hide');
+            this._image.src = this._url;
+            this._image.style.opacity = this.options.opacity;
+        }
+        this.getPane().appendChild(this._image);
+        this._update();
+    },
+    
+    onRemove() {
+        L.DomUtil.remove(this._image);
+    },
+    
+    getEvents() {
+        return { zoomend: this._update, viewreset: this._update };
+    },
+    
+    setOpacity(opacity) {
+        this.options.opacity = opacity;
+        if (this._image) this._image.style.opacity = opacity;
+        return this;
+    },
+    
+    // The composition of the affine fit and the map's linear projection is itself
+    // affine, so three image points fix the CSS matrix
+    _update() {
+        const [a, b, c, d, e, f] = this._transform;
+        const point = (x, y) => this._map.latLngToLayerPoint(L.CRS.EPSG3857.unproject(L.point(a * x + b * y + c, d * x + e * y + f)));
+        const origin = point(0, 0);
+        const right = point(1000, 0).subtract(origin).divideBy(1000);
+        const down = point(0, 1000).subtract(origin).divideBy(1000);
+        
+        this._image.style.transformOrigin = '0 0';
+        this._image.style.transform = `matrix(${right.x}, ${right.y}, ${down.x}, ${down.y}, ${origin.x}, ${origin.y})`;
+    }
+});
+
 class MapDrawingApp {
     constructor() {
         this.map = null;
         this.lines = [];
         this.lineCounter = 1;
+        this.polygonCounter = 1;
         this.gpsWatchId = null;
         this.gpsMarker = null;
         this.currentGpsPosition = null;
         this.captureState = 'idle';
         this.mode = 'draw';
         this.tempStartPoint = null;
+        this.sketch = null;
         this.layers = {};
         this.linesLayer = null;
         this.baseLayer = 'street';
@@ -18,15 +191,63 @@ class MapDrawingApp {
         this.mapRotation = 0;
         this.isRotating = false;
         this.rotateStartAngle = 0;
+        this.suppressClickUntil = 0;
+        this.deviceOrientation = 0;
+        this.followHeading = false;
+        this.rates = {};
+        this.schema = [];
+        this.validationRules = { ...DEFAULT_VALIDATION_RULES };
+        this.validationTimer = null;
+        this.photos = [];
+        this.photoMarkers = [];
+        this.photoCounter = 1;
+        this.nodeCounter = 1;
+        this.plans = [];
+        this.planLayers = {};
+        this.georef = null;
+        this.db = null;
+        this.sessionId = null;
+        this.sessionSaved = false;
+        this.autosaveTimer = null;
+        this.isRestoring = false;
+        this.batchingLines = false;
+        this.workOrders = [];
+        this.activeWorkOrderId = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.tileDownload = null;
+        this.updateRequested = false;
+        this.gpsSettings = { ...DEFAULT_GPS_SETTINGS };
+        this.outputCrs = GEOGRAPHIC_CRS;
+        this.gpsCapture = null;
+        this.trace = null;
+        this.snapIndicator = null;
         
         this.init();
     }
     
     init() {
         this.initializeMap();
+        this.loadSchema();
+        this.loadRates();
+        this.loadGpsSettings();
+        this.loadOutputCrs();
+        this.loadValidationRules();
+        this.renderSchemaEditor();
+        this.renderLinesTableHead();
+        this.renderRatesTable();
+        this.renderValidationRules();
         this.setupEventListeners();
+        this.registerServiceWorker();
+        this.setupNetworkStatus();
+        this.applyProject({});
         this.startGPSTracking();
+        this.updateTraceStatus();
         this.setupDeviceOrientation();
+        this.initAutosave().catch(error => {
+            console.error('Autosave error:', error);
+            this.setAutosaveStatus('Autosave unavailable');
+        });
     }
     
     initializeMap() {
@@ -34,71 +255,303 @@ class MapDrawingApp {
             center: [24.4539, 39.5773],
             zoom: 13,
             zoomControl: false,
+            // leaflet-rotate: the two-finger twist and the compass are handled in
+            // setupRotateControls and addCompassControl
             rotate: true,
-            touchRotate: true,
-            rotateControl: {
-                closeOnZeroBearing: false
-            }
+            bearing: 0,
+            touchRotate: false,
+            rotateControl: false
         });
         
         L.control.zoom({ position: 'topright' }).addTo(this.map);
+        this.addCompassControl();
+        this.map.on('rotate', () => {
+            this.mapRotation = this.map.getBearing();
+            this.updateCompass();
+        });
         
-        this.layers.street = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        const tileSources = this.getTileSources();
+        this.offlineTilesAllowed = tileSources.offlineAllowed;
+        
+        this.layers.street = L.tileLayer(tileSources.street, {
             attribution: '© OpenStreetMap contributors',
             maxZoom: 19
         });
         
-        this.layers.satellite = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
+        this.layers.satellite = L.tileLayer(tileSources.satellite, {
             attribution: '© Esri',
             maxZoom: 19
         });
         
         this.layers.street.addTo(this.map);
+        
+        // Background plans sit above the tiles and beneath the drawn lines. With
+        // leaflet-rotate the pane must live in rotatePane to turn with the map.
+        const plansPane = this.map.createPane('plansPane', this.map.getPane('rotatePane'));
+        plansPane.style.zIndex = 350;
+        plansPane.style.pointerEvents = 'none';
+        this.plansRenderer = L.canvas({ pane: 'plansPane' });
+        
         this.linesLayer = L.layerGroup().addTo(this.map);
+        this.validationLayer = L.layerGroup().addTo(this.map);
         
         this.map.on('click', (e) => this.handleMapClick(e));
+        this.map.on('dblclick', () => this.finishSketch());
+        this.map.on('mousemove', (e) => this.updateSnapIndicator(e.latlng));
+        this.map.on('mouseout', () => this.hideSnapIndicator());
         this.setupRotateControls();
+        this.setupLongPressSelect();
+    }
+    
+    // Tile URL templates. `?tileServer=http://localhost:8080` swaps both layers for a
+    // configured server serving /street/{z}/{x}/{y}.png and /satellite/{z}/{x}/{y}.png.
+    // Only such a server may be bulk-downloaded: the OSM and Esri terms forbid offline
+    // prefetching from their public endpoints, so offlineAllowed is false for those.
+    getTileSources() {
+        const tileServer = new URLSearchParams(window.location.search).get('tileServer');
+        if (tileServer) {
+            const base = tileServer.replace(/\/$/, '');
+            return {
+                street: `${base}/street/{z}/{x}/{y}.png`,
+                satellite: `${base}/satellite/{z}/{x}/{y}.png`,
+                offlineAllowed: true
+            };
+        }
+        
+        // No {s} subdomains, so each tile has exactly one URL to cache
+        return {
+            street: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+            satellite: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            offlineAllowed: false
+        };
     }
     
+    // In rotate mode any single pointer drags the map around its centre. In every
+    // mode a two-finger twist rotates too, alongside Leaflet's own pinch zoom.
     setupRotateControls() {
         const mapContainer = this.map.getContainer();
-        let startBearing = 0;
-        let startAngle = 0;
+        const pointers = new Map();
+        let gesture = null;
         
-        mapContainer.addEventListener('mousedown', (e) => {
-            if (this.mode === 'rotate' && e.shiftKey) {
-                this.isRotating = true;
+        const angleOf = (a, b) => Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+        const startGesture = () => {
+            const points = Array.from(pointers.values());
+            if (points.length === 2) {
+                gesture = { twoFinger: true, startAngle: angleOf(points[0], points[1]), startBearing: this.mapRotation, active: false };
+            } else if (points.length === 1 && this.mode === 'rotate') {
                 const center = this.map.getSize().divideBy(2);
-                startAngle = Math.atan2(e.clientY - center.y, e.clientX - center.x);
-                startBearing = this.mapRotation;
+                gesture = { twoFinger: false, startAngle: angleOf(center, points[0]), startBearing: this.mapRotation, active: true };
+            } else {
+                gesture = null;
+            }
+            this.isRotating = !!(gesture && gesture.active);
+        };
+        
+        mapContainer.addEventListener('pointerdown', (e) => {
+            if (this.isDragging) return;
+            if (e.pointerType === 'mouse' && this.mode !== 'rotate') return;
+            
+            pointers.set(e.pointerId, this.map.mouseEventToContainerPoint(e));
+            startGesture();
+            if (this.mode === 'rotate') {
+                mapContainer.setPointerCapture(e.pointerId);
                 e.preventDefault();
             }
         });
         
-        mapContainer.addEventListener('mousemove', (e) => {
-            if (this.isRotating) {
-                const center = this.map.getSize().divideBy(2);
-                const angle = Math.atan2(e.clientY - center.y, e.clientX - center.x);
-                const diff = (angle - startAngle) * 180 / Math.PI;
-                this.mapRotation = (startBearing + diff) % 360;
-                this.rotateMap(this.mapRotation);
+        mapContainer.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId)) return;
+            pointers.set(e.pointerId, this.map.mouseEventToContainerPoint(e));
+            if (!gesture || this.isDragging) return;
+            
+            const points = Array.from(pointers.values());
+            const angle = gesture.twoFinger
+                ? angleOf(points[0], points[1])
+                : angleOf(this.map.getSize().divideBy(2), points[0]);
+            const diff = ((angle - gesture.startAngle + 540) % 360) - 180;
+            
+            // A plain pinch wobbles by a few degrees; only a deliberate twist rotates
+            if (!gesture.active) {
+                if (Math.abs(diff) < ROTATE_GESTURE_THRESHOLD) return;
+                gesture.active = true;
+                gesture.startAngle = angle;
+                this.isRotating = true;
+                return;
+            }
+            
+            this.rotateMap(gesture.startBearing + diff);
+        });
+        
+        const endPointer = (e) => {
+            if (!pointers.delete(e.pointerId)) return;
+            startGesture();
+        };
+        mapContainer.addEventListener('pointerup', endPointer);
+        mapContainer.addEventListener('pointercancel', endPointer);
+    }
+    
+    // Touch and pen: holding a finger still on a line selects it in any mode, so a
+    // line can be picked up for editing without leaving draw mode
+    setupLongPressSelect() {
+        const mapContainer = this.map.getContainer();
+        let press = null;
+        
+        const cancel = () => {
+            if (press) clearTimeout(press.timer);
+            press = null;
+        };
+        
+        mapContainer.addEventListener('pointerdown', (e) => {
+            if (!e.isPrimary) {
+                cancel();
+                return;
+            }
+            if (e.pointerType === 'mouse' || this.mode === 'rotate' || this.isDragging) return;
+            
+            const latlng = this.map.mouseEventToLatLng(e);
+            press = {
+                pointerId: e.pointerId,
+                x: e.clientX,
+                y: e.clientY,
+                timer: setTimeout(() => {
+                    press = null;
+                    if (this.isDragging || this.isRotating) return;
+                    
+                    this.suppressClickUntil = Date.now() + CLICK_SUPPRESS_DELAY;
+                    this.handleSelectClick({ latlng });
+                    if (navigator.vibrate) navigator.vibrate(30);
+                }, LONG_PRESS_DELAY)
+            };
+        });
+        
+        mapContainer.addEventListener('pointermove', (e) => {
+            if (press && press.pointerId === e.pointerId &&
+                Math.hypot(e.clientX - press.x, e.clientY - press.y) > LONG_PRESS_TOLERANCE) {
+                cancel();
             }
         });
+        mapContainer.addEventListener('pointerup', cancel);
+        mapContainer.addEventListener('pointercancel', cancel);
         
-        mapContainer.addEventListener('mouseup', () => {
-            this.isRotating = false;
+        // Mobile browsers raise a context menu on a long press
+        mapContainer.addEventListener('contextmenu', (e) => {
+            if (Date.now() < this.suppressClickUntil) e.preventDefault();
         });
     }
     
+    // A manual rotation takes over from follow-heading
     rotateMap(angle) {
-        const mapContainer = this.map.getContainer();
-        mapContainer.style.transform = `rotate(${angle}deg)`;
+        if (this.followHeading) this.setFollowHeading(false);
+        this.map.setBearing(angle);
+    }
+    
+    resetNorth() {
+        this.setFollowHeading(false);
+        this.map.setBearing(0);
+    }
+    
+    // Compass needle (tap to face north) and follow-heading toggle, stacked
+    // under the zoom buttons and kept upright by leaflet-rotate
+    addCompassControl() {
+        const CompassControl = L.Control.extend({
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'leaflet-bar compass-control');
+                
+                const compass = L.DomUtil.create('a', 'compass-button', container);
+                compass.href = '#';
+                compass.title = 'Reset bearing to north';
+                compass.setAttribute('role', 'button');
+                compass.innerHTML = '<svg viewBox="0 0 24 24"><path d="M12 2l5 10H7z" fill="#ef4444"/><path d="M12 22l-5-10h10z" fill="#94a3b8"/></svg>';
+                
+                const follow = L.DomUtil.create('a', 'follow-heading-button', container);
+                follow.href = '#';
+                follow.title = 'Follow device heading';
+                follow.setAttribute('role', 'button');
+                follow.textContent = '➤';
+                
+                L.DomEvent.disableClickPropagation(container);
+                L.DomEvent.on(compass, 'click', (e) => {
+                    L.DomEvent.preventDefault(e);
+                    this.resetNorth();
+                });
+                L.DomEvent.on(follow, 'click', (e) => {
+                    L.DomEvent.preventDefault(e);
+                    this.setFollowHeading(!this.followHeading);
+                });
+                
+                this.compassNeedle = compass.firstChild;
+                this.followHeadingButton = follow;
+                return container;
+            }
+        });
+        
+        new CompassControl({ position: 'topright' }).addTo(this.map);
+    }
+    
+    updateCompass() {
+        if (this.compassNeedle) {
+            this.compassNeedle.style.transform = `rotate(${this.mapRotation}deg)`;
+        }
+    }
+    
+    async setFollowHeading(enabled) {
+        if (enabled && !window.DeviceOrientationEvent) {
+            alert('This device does not report its heading.');
+            return;
+        }
+        
+        // iOS only delivers orientation events once the user has allowed it
+        if (enabled && typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                enabled = await DeviceOrientationEvent.requestPermission() === 'granted';
+            } catch (error) {
+                enabled = false;
+            }
+            if (!enabled) alert('Permission to use the compass was not granted.');
+        }
+        
+        this.followHeading = enabled;
+        this.followHeadingButton.classList.toggle('active', enabled);
+        if (enabled) this.applyDeviceHeading();
+    }
+    
+    // Turns the map so the top of the screen faces the way the device points
+    applyDeviceHeading() {
+        const screenAngle = screen.orientation ? screen.orientation.angle : 0;
+        this.map.setBearing(-(this.deviceOrientation + screenAngle));
     }
     
     setupEventListeners() {
         document.getElementById('drawBtn').addEventListener('click', () => this.setMode('draw'));
+        document.getElementById('routeBtn').addEventListener('click', () => this.setMode('route'));
+        document.getElementById('polygonBtn').addEventListener('click', () => this.setMode('polygon'));
         document.getElementById('selectBtn').addEventListener('click', () => this.setMode('select'));
         document.getElementById('rotateBtn').addEventListener('click', () => this.setMode('rotate'));
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        document.getElementById('addSegmentBtn').addEventListener('click', () => this.addSegmentByLengthBearing());
+        document.getElementById('addFieldBtn').addEventListener('click', () => this.addSchemaField());
+        document.getElementById('exportSchemaBtn').addEventListener('click', () => this.exportSchemaTemplate());
+        document.getElementById('importSchemaInput').addEventListener('change', (e) => this.importSchemaTemplate(e));
+        document.getElementById('resetSchemaBtn').addEventListener('click', () => this.resetSchema());
+        document.getElementById('planImageInput').addEventListener('change', (e) => this.importPlanImage(e));
+        document.getElementById('dxfInput').addEventListener('change', (e) => this.importDXF(e));
+        document.getElementById('applyGeorefBtn').addEventListener('click', () => this.applyGeoreference());
+        document.getElementById('cancelGeorefBtn').addEventListener('click', () => this.cancelGeoreference());
+        document.getElementById('georefImage').addEventListener('click', (e) => this.addGeorefImagePoint(e));
+        document.getElementById('dxfCrs').innerHTML = Object.entries(PROJECTED_CRS)
+            .map(([code, crs]) => `<option value="${code}">${crs.name} (${code})</option>`).join('');
+        document.getElementById('outputCrs').addEventListener('change', (e) => this.setOutputCrs(e.target.value));
+        document.getElementById('validateBtn').addEventListener('click', () => this.runValidation());
+        ['requireWorkOrderNo', 'checkOverlaps'].forEach(key => {
+            document.getElementById(`validation-${key}`).addEventListener('change', (e) => this.updateValidationRule(key, e.target.checked));
+        });
+        document.getElementById('validation-minLength').addEventListener('change', (e) => this.updateValidationRule('minLength', parseFloat(e.target.value) || 0));
+        document.getElementById('validation-onFailure').addEventListener('change', (e) => this.updateValidationRule('onFailure', e.target.value));
+        document.getElementById('addCoordinateLineBtn').addEventListener('click', () => this.addLineByCoordinates());
+        document.getElementById('finishSketchBtn').addEventListener('click', () => this.finishSketch());
+        document.getElementById('cancelSketchBtn').addEventListener('click', () => this.cancelSketch());
         
         document.getElementById('streetBtn').addEventListener('click', () => this.switchLayer('street'));
         document.getElementById('satelliteBtn').addEventListener('click', () => this.switchLayer('satellite'));
@@ -106,17 +559,73 @@ class MapDrawingApp {
         document.getElementById('currentLocationBtn').addEventListener('click', () => this.goToCurrentLocation());
         document.getElementById('captureStartBtn').addEventListener('click', () => this.captureStartPoint());
         document.getElementById('captureEndBtn').addEventListener('click', () => this.captureEndPoint());
+        document.getElementById('cancelCaptureBtn').addEventListener('click', () => this.cancelAveragedCapture());
+        document.getElementById('recordTraceBtn').addEventListener('click', () => this.startTrace());
+        document.getElementById('finishTraceBtn').addEventListener('click', () => this.finishTrace());
+        document.getElementById('discardTraceBtn').addEventListener('click', () => this.discardTrace());
+        document.getElementById('gpxBtn').addEventListener('click', () => this.exportTraceToGPX());
+        
+        Object.keys(DEFAULT_GPS_SETTINGS).forEach(key => {
+            document.getElementById(`gps-${key}`).addEventListener('change', (e) => {
+                const value = key === 'onPoorAccuracy' ? e.target.value : parseFloat(e.target.value);
+                this.gpsSettings[key] = isNaN(value) ? DEFAULT_GPS_SETTINGS[key] : value;
+                this.saveGpsSettings();
+            });
+        });
         
         document.getElementById('saveBtn').addEventListener('click', () => this.saveDrawing());
+        document.getElementById('sessionsBtn').addEventListener('click', () => this.openSessions());
+        document.getElementById('downloadTilesBtn').addEventListener('click', () => this.downloadOfflineArea());
+        document.getElementById('downloadTilesBtn').disabled = !this.offlineTilesAllowed;
+        document.getElementById('offlineSourceNote').style.display = this.offlineTilesAllowed ? 'none' : '';
+        document.getElementById('cancelTilesBtn').addEventListener('click', () => this.cancelOfflineDownload());
+        document.getElementById('closeSessionsBtn').addEventListener('click', () => this.closeSessions());
+        document.getElementById('newSessionBtn').addEventListener('click', () => this.startNewSession());
+        ['workOrderNo', 'workType'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.scheduleAutosave();
+                this.scheduleValidation();
+                this.renderWorkOrderList();
+            });
+        });
+        
+        document.getElementById('newWorkOrderBtn').addEventListener('click', () => this.createWorkOrder());
+        document.getElementById('duplicateWorkOrderBtn').addEventListener('click', () => this.duplicateWorkOrder(this.activeWorkOrderId));
+        document.getElementById('archiveWorkOrderBtn').addEventListener('click', () => this.toggleArchiveWorkOrder(this.activeWorkOrderId));
+        document.getElementById('workOrderSearch').addEventListener('input', () => this.renderWorkOrderList());
+        document.getElementById('showArchivedOrders').addEventListener('change', () => this.renderWorkOrderList());
         document.getElementById('loadInput').addEventListener('change', (e) => this.loadDrawing(e));
+        document.getElementById('confirmImportBtn').addEventListener('click', () => this.confirmImport());
+        document.getElementById('cancelImportBtn').addEventListener('click', () => this.closeImportDialog());
+        document.getElementById('csvEncoding').innerHTML = Object.entries(CSV_ENCODINGS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('csvDelimiter').innerHTML = Object.entries(CSV_DELIMITERS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('csvCoordinates').innerHTML = `<option value="${GEOGRAPHIC_CRS}">Latitude / longitude (WGS 84)</option>` +
+            Object.entries(PROJECTED_CRS).map(([code, crs]) => `<option value="${code}">Easting / northing, ${crs.name}</option>`).join('');
+        ['csvEncoding', 'csvDelimiter', 'csvHeaderRow'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.parseCsvImport(false));
+        });
+        document.getElementById('csvCoordinates').addEventListener('change', (e) => {
+            this.csvImport.coordinates = e.target.value;
+            this.csvImport.mapping = this.guessCsvMapping();
+            this.renderCsvMapping();
+        });
+        document.getElementById('csvImportBtn').addEventListener('click', () => this.confirmCsvImport());
+        document.getElementById('cancelCsvBtn').addEventListener('click', () => this.closeCsvImport());
         document.getElementById('excelBtn').addEventListener('click', () => this.exportToExcel());
         document.getElementById('csvBtn').addEventListener('click', () => this.exportToCSV());
+        document.getElementById('geojsonBtn').addEventListener('click', () => this.exportToGeoJSON());
+        document.getElementById('kmlBtn').addEventListener('click', () => this.exportToKML());
         
         // Camera buttons
         document.getElementById('takePhotoBtn').addEventListener('click', () => this.openCamera());
         document.getElementById('closeCameraBtn').addEventListener('click', () => this.closeCamera());
         document.getElementById('captureBtn').addEventListener('click', () => this.capturePhoto());
         document.getElementById('closePhotoViewer').addEventListener('click', () => this.closePhotoViewer());
+        document.getElementById('photoGalleryFilter').addEventListener('change', () => this.renderPhotoGallery());
+        document.getElementById('zipBtn').addEventListener('click', () => this.exportToZip());
+        document.getElementById('pdfBtn').addEventListener('click', () => this.exportToPDF());
     }
     
     setMode(mode) {
@@ -125,17 +634,34 @@ class MapDrawingApp {
         document.querySelectorAll('.toolbar .btn').forEach(btn => btn.classList.remove('active'));
         document.getElementById(`${mode}Btn`).classList.add('active');
         
+        // Rotate mode turns the map with a one-finger drag, so panning is off there
         const mapContainer = this.map.getContainer();
         if (mode === 'rotate') {
             mapContainer.classList.add('map-rotate');
+            this.map.dragging.disable();
         } else {
             mapContainer.classList.remove('map-rotate');
+            this.map.dragging.enable();
         }
         
+        // An averaging GPS capture would otherwise finish against the discarded start point
+        this.cancelAveragedCapture();
         if (this.tempStartPoint && this.tempStartPoint.marker) {
             this.tempStartPoint.marker.remove();
             this.tempStartPoint = null;
         }
+        this.captureState = 'idle';
+        document.getElementById('captureEndBtn').style.display = 'none';
+        
+        this.cancelSketch();
+        this.hideSnapIndicator();
+        
+        // Double-click finishes a route or polygon, so it must not zoom the map
+        if (mode === 'route' || mode === 'polygon') {
+            this.map.doubleClickZoom.disable();
+        } else {
+            this.map.doubleClickZoom.enable();
+        }
         
         if (this.selectedLine) {
             this.deselectLine();
@@ -152,22 +678,37 @@ class MapDrawingApp {
     }
     
     handleMapClick(e) {
-        if (this.mode === 'rotate') return;
+        if (this.mode === 'rotate' || Date.now() < this.suppressClickUntil) return;
+        
+        if (this.georef) {
+            this.addGeorefMapPoint(e.latlng);
+            return;
+        }
         
         if (this.mode === 'select') {
             this.handleSelectClick(e);
             return;
         }
         
+        this.hideSnapIndicator();
+        this.placeDrawingPoint(this.applyDrawingAids(e.latlng));
+    }
+    
+    placeDrawingPoint(latlng) {
+        if (this.mode === 'route' || this.mode === 'polygon') {
+            this.addSketchVertex(latlng);
+            return;
+        }
+        
         if (this.mode !== 'draw') return;
         
         if (!this.tempStartPoint) {
             this.tempStartPoint = {
-                lat: e.latlng.lat,
-                lng: e.latlng.lng
+                lat: latlng.lat,
+                lng: latlng.lng
             };
             
-            this.tempStartPoint.marker = L.circleMarker([e.latlng.lat, e.latlng.lng], {
+            this.tempStartPoint.marker = L.circleMarker([latlng.lat, latlng.lng], {
                 radius: 6,
                 fillColor: '#3b82f6',
                 color: '#1e40af',
@@ -177,23 +718,225 @@ class MapDrawingApp {
             }).addTo(this.linesLayer);
         } else {
             const endPoint = {
-                lat: e.latlng.lat,
-                lng: e.latlng.lng
+                lat: latlng.lat,
+                lng: latlng.lng
             };
             
-            this.createLine(this.tempStartPoint, endPoint);
+            this.createLine([this.tempStartPoint, endPoint]);
             this.tempStartPoint.marker.remove();
             this.tempStartPoint = null;
         }
     }
     
+    addSketchVertex(latlng) {
+        if (!this.sketch) {
+            const previewLayer = this.mode === 'polygon' ? L.polygon : L.polyline;
+            this.sketch = {
+                type: this.mode,
+                points: [],
+                markers: [],
+                preview: previewLayer([], {
+                    color: '#3b82f6',
+                    weight: 3,
+                    opacity: 0.6,
+                    dashArray: '6, 6'
+                }).addTo(this.linesLayer)
+            };
+            document.getElementById('sketchControls').style.display = 'flex';
+        }
+        
+        // A double-click delivers two clicks on the same spot before the dblclick
+        const last = this.sketch.points[this.sketch.points.length - 1];
+        if (last) {
+            const lastPoint = this.map.latLngToContainerPoint([last.lat, last.lng]);
+            if (lastPoint.distanceTo(this.map.latLngToContainerPoint(latlng)) < 3) return;
+        }
+        
+        this.sketch.points.push({ lat: latlng.lat, lng: latlng.lng });
+        this.sketch.markers.push(L.circleMarker([latlng.lat, latlng.lng], {
+            radius: 5,
+            fillColor: '#ffffff',
+            color: '#1e40af',
+            weight: 2,
+            opacity: 1,
+            fillOpacity: 1
+        }).addTo(this.linesLayer));
+        this.sketch.preview.setLatLngs(this.sketch.points.map(p => [p.lat, p.lng]));
+    }
+    
+    finishSketch() {
+        if (!this.sketch) return;
+        
+        const { type, points } = this.sketch;
+        
+        if (type === 'polygon' && points.length < 3) {
+            alert('A polygon needs at least three points.');
+            return;
+        }
+        if (points.length < 2) {
+            alert('A route needs at least two points.');
+            return;
+        }
+        
+        this.cancelSketch();
+        if (type === 'polygon') {
+            this.createPolygon(points);
+        } else {
+            this.createLine(points);
+        }
+    }
+    
+    cancelSketch() {
+        if (!this.sketch) return;
+        
+        this.sketch.markers.forEach(marker => marker.remove());
+        this.sketch.preview.remove();
+        this.sketch = null;
+        document.getElementById('sketchControls').style.display = 'none';
+    }
+    
+    // Points already placed for the shape being drawn, oldest first
+    getDrawingPoints() {
+        if (this.sketch) return this.sketch.points;
+        if (this.mode === 'draw' && this.tempStartPoint) return [this.tempStartPoint];
+        return [];
+    }
+    
+    // Nearest existing vertex within the pixel tolerance, else the nearest point on
+    // a segment. Vertices win so connected segments share exact endpoints.
+    getSnapTarget(latlng, excludeLineIds = []) {
+        if (!document.getElementById('snapEnabled').checked) return null;
+        
+        const tolerance = parseFloat(document.getElementById('snapTolerance').value) || 0;
+        const point = this.map.latLngToContainerPoint(latlng);
+        const lines = this.lines.filter(line => !excludeLineIds.includes(line.id));
+        
+        let best = null;
+        const consider = (candidate, distance) => {
+            if (distance <= tolerance && (!best || distance < best.distance)) {
+                best = { ...candidate, distance };
+            }
+        };
+        
+        lines.forEach(line => line.points.forEach(p => {
+            consider({ latlng: L.latLng(p.lat, p.lng), kind: 'vertex', lineId: line.id },
+                point.distanceTo(this.map.latLngToContainerPoint([p.lat, p.lng])));
+        }));
+        if (best) return best;
+        
+        lines.forEach(line => {
+            const ring = this.getRing(line);
+            for (let i = 1; i < ring.length; i++) {
+                const a = this.map.latLngToContainerPoint([ring[i - 1].lat, ring[i - 1].lng]);
+                const b = this.map.latLngToContainerPoint([ring[i].lat, ring[i].lng]);
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const len2 = dx * dx + dy * dy;
+                if (len2 === 0) continue;
+                
+                const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / len2));
+                // Interpolate the coordinates directly so the point lies exactly on the segment
+                const snapped = L.latLng(
+                    ring[i - 1].lat + t * (ring[i].lat - ring[i - 1].lat),
+                    ring[i - 1].lng + t * (ring[i].lng - ring[i - 1].lng)
+                );
+                consider({ latlng: snapped, kind: 'segment', lineId: line.id },
+                    point.distanceTo(L.point(a.x + t * dx, a.y + t * dy)));
+            }
+        });
+        
+        return best;
+    }
+    
+    // Snapping first; otherwise the optional angle constraint, which turns the new
+    // segment to the nearest multiple of the step relative to the previous segment
+    // (relative to north for the first one) and keeps its projected length.
+    applyDrawingAids(latlng, excludeLineIds = []) {
+        const snap = this.getSnapTarget(latlng, excludeLineIds);
+        if (snap) return snap.latlng;
+        
+        const step = parseFloat(document.getElementById('angleStep').value);
+        const points = this.getDrawingPoints();
+        if (!step || points.length === 0 || excludeLineIds.length > 0) return latlng;
+        
+        const last = points[points.length - 1];
+        const reference = points.length > 1 ? this.calculateBearing(points[points.length - 2], last) : 0;
+        const bearing = this.calculateBearing(last, latlng);
+        const constrained = reference + Math.round((bearing - reference) / step) * step;
+        const length = this.calculateDistance(last.lat, last.lng, latlng.lat, latlng.lng) *
+            Math.cos((bearing - constrained) * Math.PI / 180);
+        
+        return this.destinationPoint(last, constrained, Math.max(length, 0));
+    }
+    
+    updateSnapIndicator(latlng) {
+        const drawing = ['draw', 'route', 'polygon'].includes(this.mode);
+        const dragging = this.isDragging && this.draggedPoint;
+        if (!drawing && !dragging) {
+            this.hideSnapIndicator();
+            return;
+        }
+        
+        const snap = this.getSnapTarget(latlng, dragging ? this.draggedPoint.before.map(entry => entry.id) : []);
+        const target = snap ? snap.latlng : (dragging ? null : this.applyDrawingAids(latlng));
+        if (!target || (!snap && target.lat === latlng.lat && target.lng === latlng.lng)) {
+            this.hideSnapIndicator();
+            return;
+        }
+        
+        // Red for a shared vertex, orange for a point on a segment, purple for an angle lock
+        const color = snap ? (snap.kind === 'vertex' ? '#ef4444' : '#f97316') : '#8b5cf6';
+        if (!this.snapIndicator) {
+            this.snapIndicator = L.circleMarker(target, {
+                radius: 9,
+                weight: 3,
+                fill: false,
+                interactive: false
+            }).addTo(this.map);
+        }
+        this.snapIndicator.setLatLng(target);
+        this.snapIndicator.setStyle({ color });
+    }
+    
+    hideSnapIndicator() {
+        if (!this.snapIndicator) return;
+        
+        this.snapIndicator.remove();
+        this.snapIndicator = null;
+    }
+    
+    // Places the next point at a typed length and bearing from the last one
+    addSegmentByLengthBearing() {
+        const length = parseFloat(document.getElementById('segmentLength').value);
+        const bearing = parseFloat(document.getElementById('segmentBearing').value);
+        
+        if (!['draw', 'route', 'polygon'].includes(this.mode)) {
+            alert('Choose Draw, Route or Area mode first.');
+            return;
+        }
+        const points = this.getDrawingPoints();
+        if (points.length === 0) {
+            alert('Place the first point on the map, then enter the length and bearing of the next segment.');
+            return;
+        }
+        if (isNaN(length) || length <= 0 || isNaN(bearing)) {
+            alert('Enter a length greater than 0 and a bearing in degrees from north.');
+            return;
+        }
+        
+        this.placeDrawingPoint(this.destinationPoint(points[points.length - 1], ((bearing % 360) + 360) % 360, length));
+    }
+    
     handleSelectClick(e) {
         let clickedLine = null;
         const clickPoint = e.latlng;
         
         for (let line of this.lines) {
-            const distance = this.distanceToLine(clickPoint, line.start, line.end);
-            if (distance < 20) {
+            if (line.type === 'polygon' && this.isPointInPolygon(clickPoint, line.points)) {
+                clickedLine = line;
+                break;
+            }
+            if (this.distanceToPath(clickPoint, this.getRing(line)) < 20) {
                 clickedLine = line;
                 break;
             }
@@ -206,6 +949,27 @@ class MapDrawingApp {
         }
     }
     
+    distanceToPath(point, points) {
+        let min = Infinity;
+        for (let i = 1; i < points.length; i++) {
+            min = Math.min(min, this.distanceToLine(point, points[i - 1], points[i]));
+        }
+        return min;
+    }
+    
+    isPointInPolygon(point, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+                point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
     distanceToLine(point, lineStart, lineEnd) {
         const p = this.map.latLngToContainerPoint(point);
         const p1 = this.map.latLngToContainerPoint([lineStart.lat, lineStart.lng]);
@@ -232,7 +996,7 @@ class MapDrawingApp {
         
         line.polyline.setStyle({ color: '#f59e0b', weight: 4 });
         
-        const row = document.querySelector(`tr[data-line-id="${line.id}"]`);
+        const row = document.querySelector(`tr[data-line-id="${CSS.escape(line.id)}"]`);
         if (row) row.classList.add('selected');
         
         this.makeDraggable(line);
@@ -242,7 +1006,7 @@ class MapDrawingApp {
         if (this.selectedLine) {
             this.selectedLine.polyline.setStyle({ color: '#3b82f6', weight: 3 });
             
-            const row = document.querySelector(`tr[data-line-id="${this.selectedLine.id}"]`);
+            const row = document.querySelector(`tr[data-line-id="${CSS.escape(this.selectedLine.id)}"]`);
             if (row) row.classList.remove('selected');
             
             this.removeDraggable(this.selectedLine);
@@ -251,178 +1015,318 @@ class MapDrawingApp {
     }
     
     makeDraggable(line) {
-        // Make markers draggable
-        line.startMarker.dragging = L.Handler.extend({});
-        line.endMarker.dragging = L.Handler.extend({});
-        
-        // Store original mouse events
-        const startMarkerElement = line.startMarker._path || line.startMarker._icon;
-        const endMarkerElement = line.endMarker._path || line.endMarker._icon;
-        
-        if (startMarkerElement) {
-            startMarkerElement.style.cursor = 'move';
-            startMarkerElement.classList.add('draggable-marker');
-        }
-        if (endMarkerElement) {
-            endMarkerElement.style.cursor = 'move';
-            endMarkerElement.classList.add('draggable-marker');
-        }
-        
-        // Start marker drag handlers
-        line.startMarker.on('mousedown', (e) => {
-            L.DomEvent.stopPropagation(e);
-            this.isDragging = true;
-            this.draggedPoint = { line: line, point: 'start' };
-            this.map.dragging.disable();
-        });
-        
-        // End marker drag handlers
-        line.endMarker.on('mousedown', (e) => {
-            L.DomEvent.stopPropagation(e);
-            this.isDragging = true;
-            this.draggedPoint = { line: line, point: 'end' };
-            this.map.dragging.disable();
-        });
+        // Finger-sized handles on touch screens; the small dots are fine for a mouse
+        const coarsePointer = window.matchMedia('(pointer: coarse)').matches;
         
-        // Map mousemove handler
-        const mouseMoveHandler = (e) => {
-            if (this.isDragging && this.draggedPoint && this.draggedPoint.line.id === line.id) {
-                const newPos = { lat: e.latlng.lat, lng: e.latlng.lng };
+        line.markers.forEach((marker, index) => {
+            const element = marker.getElement();
+            if (!element) return;
+            
+            element.classList.add('draggable-marker');
+            if (coarsePointer) {
+                marker._baseRadius = marker.options.radius;
+                marker.setRadius(Math.max(marker.options.radius, TOUCH_HANDLE_RADIUS));
+            }
+            
+            const onPointerDown = (e) => {
+                if (!e.isPrimary || this.isDragging || this.mode === 'rotate') return;
                 
-                if (this.draggedPoint.point === 'start') {
-                    line.start = newPos;
-                    line.startMarker.setLatLng([newPos.lat, newPos.lng]);
-                } else {
-                    line.end = newPos;
-                    line.endMarker.setLatLng([newPos.lat, newPos.lng]);
-                }
+                // Keeps Leaflet from starting a pan and the browser from scrolling
+                e.preventDefault();
+                e.stopPropagation();
+                element.setPointerCapture(e.pointerId);
                 
-                // Update polyline
-                line.polyline.setLatLngs([[line.start.lat, line.start.lng], [line.end.lat, line.end.lng]]);
+                // An endpoint on a network node drags every line attached to it
+                const point = line.points[index];
+                const isEndpoint = index === 0 || index === line.points.length - 1;
+                const nodeId = isEndpoint && line.type !== 'polygon' ? point.nodeId : null;
+                const lines = nodeId ? this.getNodeLines(nodeId) : [line];
                 
-                // Update distance
-                line.distance = this.calculateDistance(line.start.lat, line.start.lng, line.end.lat, line.end.lng);
+                this.isDragging = true;
+                this.draggedPoint = {
+                    line: line,
+                    index: index,
+                    nodeId: nodeId,
+                    pointerId: e.pointerId,
+                    before: lines.map(l => ({ id: l.id, points: this.copyPoints(l.points) }))
+                };
+                this.map.dragging.disable();
+            };
+            
+            const onPointerMove = (e) => {
+                if (!this.draggedPoint || this.draggedPoint.pointerId !== e.pointerId) return;
                 
-                // Update label
-                const midpoint = [(line.start.lat + line.end.lat) / 2, (line.start.lng + line.end.lng) / 2];
-                line.distanceLabel.setLatLng(midpoint);
-                line.distanceLabel.setIcon(L.divIcon({
-                    className: 'distance-label',
-                    html: `<div style="background: white; padding: 4px 8px; border-radius: 4px; border: 2px solid #f59e0b; font-weight: bold; font-size: 12px; white-space: nowrap;">${line.distance.toFixed(2)} m</div>`,
-                    iconSize: [60, 20]
-                }));
+                const { index, nodeId, before } = this.draggedPoint;
+                const pointer = this.map.mouseEventToLatLng(e);
+                const latlng = this.applyDrawingAids(pointer, before.map(entry => entry.id));
                 
-                // Update table
-                this.updateTableRow(line);
-            }
-        };
-        
-        const mouseUpHandler = () => {
-            if (this.isDragging) {
-                this.isDragging = false;
-                this.draggedPoint = null;
-                this.map.dragging.enable();
-            }
-        };
+                if (nodeId) {
+                    this.moveNode(nodeId, latlng);
+                } else {
+                    line.points[index] = { lat: latlng.lat, lng: latlng.lng };
+                    this.updateLineGeometry(line);
+                }
+                this.updateSnapIndicator(pointer);
+            };
+            
+            const onPointerUp = (e) => {
+                if (!this.draggedPoint || this.draggedPoint.pointerId !== e.pointerId) return;
+                this.finishVertexDrag();
+            };
+            
+            element.addEventListener('pointerdown', onPointerDown);
+            element.addEventListener('pointermove', onPointerMove);
+            element.addEventListener('pointerup', onPointerUp);
+            element.addEventListener('pointercancel', onPointerUp);
+            
+            // Stored for removal in removeDraggable
+            marker._dragHandlers = { pointerdown: onPointerDown, pointermove: onPointerMove, pointerup: onPointerUp, pointercancel: onPointerUp };
+        });
+    }
+    
+    finishVertexDrag() {
+        const { line: draggedLine, nodeId, before } = this.draggedPoint;
+        if (nodeId) this.joinNodeAtPosition(nodeId);
         
-        // Store handlers for later removal
-        line._mouseMoveHandler = mouseMoveHandler;
-        line._mouseUpHandler = mouseUpHandler;
+        const after = before.map(entry => ({ id: entry.id, points: this.copyPoints(this.lines.find(l => l.id === entry.id).points) }));
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            this.recordCommand({
+                label: nodeId ? `move node ${nodeId}` : `move vertex of ${draggedLine.id}`,
+                undo: () => before.forEach(entry => this.setLinePoints(entry.id, entry.points)),
+                redo: () => after.forEach(entry => this.setLinePoints(entry.id, entry.points))
+            });
+            
+            // The click that ends a drag must not also place a point or change the selection
+            this.suppressClickUntil = Date.now() + CLICK_SUPPRESS_DELAY;
+        }
         
-        this.map.on('mousemove', mouseMoveHandler);
-        this.map.on('mouseup', mouseUpHandler);
+        this.isDragging = false;
+        this.draggedPoint = null;
+        if (this.mode !== 'rotate') this.map.dragging.enable();
+        this.hideSnapIndicator();
     }
     
     removeDraggable(line) {
-        // Remove event listeners
-        line.startMarker.off('mousedown');
-        line.endMarker.off('mousedown');
+        line.markers.forEach(marker => {
+            const element = marker.getElement();
+            if (element && marker._dragHandlers) {
+                Object.entries(marker._dragHandlers).forEach(([type, handler]) => element.removeEventListener(type, handler));
+                element.classList.remove('draggable-marker');
+            }
+            marker._dragHandlers = null;
+            
+            if (marker._baseRadius) {
+                marker.setRadius(marker._baseRadius);
+                marker._baseRadius = null;
+            }
+        });
+    }
+    
+    updateLineGeometry(line) {
+        const latlngs = line.points.map(p => [p.lat, p.lng]);
         
-        if (line._mouseMoveHandler) {
-            this.map.off('mousemove', line._mouseMoveHandler);
-        }
-        if (line._mouseUpHandler) {
-            this.map.off('mouseup', line._mouseUpHandler);
+        line.start = line.points[0];
+        line.end = line.points[line.points.length - 1];
+        line.polyline.setLatLngs(latlngs);
+        line.markers.forEach((marker, index) => marker.setLatLng(latlngs[index]));
+        
+        line.distance = this.calculatePathLength(this.getRing(line));
+        if (line.type === 'polygon') {
+            line.area = this.calculatePolygonArea(line.points);
         }
         
-        // Reset cursor
-        const startMarkerElement = line.startMarker._path || line.startMarker._icon;
-        const endMarkerElement = line.endMarker._path || line.endMarker._icon;
+        const color = this.selectedLine === line ? '#f59e0b' : '#3b82f6';
+        line.distanceLabel.setLatLng(this.getLabelPosition(line));
+        line.distanceLabel.setIcon(this.createLabelIcon(line, color));
         
-        if (startMarkerElement) {
-            startMarkerElement.style.cursor = '';
-            startMarkerElement.classList.remove('draggable-marker');
-        }
-        if (endMarkerElement) {
-            endMarkerElement.style.cursor = '';
-            endMarkerElement.classList.remove('draggable-marker');
-        }
+        this.updateTableRow(line);
     }
     
     updateTableRow(line) {
-        const row = document.querySelector(`tr[data-line-id="${line.id}"]`);
+        const row = document.querySelector(`tr[data-line-id="${CSS.escape(line.id)}"]`);
         if (row) {
-            row.cells[1].textContent = line.distance.toFixed(2);
+            row.cells[1].innerHTML = this.formatMeasurement(line);
+            row.querySelector('[data-coordinates]').innerHTML = this.formatEndpoints(line);
+            
+            const { area, volume, cost } = this.calculateQuantities(line);
+            row.querySelector('[data-quantity="area"]').textContent = area === null ? '—' : area.toFixed(2);
+            row.querySelector('[data-quantity="volume"]').textContent = volume === null ? '—' : volume.toFixed(2);
+            row.querySelector('[data-quantity="cost"]').textContent = cost === null ? '—' : cost.toFixed(2);
+            
+            row.querySelectorAll('[data-field]').forEach(input => {
+                const error = this.validateFieldValue(this.getField(input.dataset.field), line[input.dataset.field]);
+                input.classList.toggle('invalid', !!error);
+                input.title = error || '';
+            });
+        }
+        
+        this.updateQuantityTotals();
+        this.scheduleAutosave();
+        this.scheduleValidation();
+    }
+    
+    formatMeasurement(line) {
+        if (line.type === 'polygon') {
+            return `${line.area.toFixed(2)} m²<div class="vertex-count">${line.distance.toFixed(2)} m perimeter</div>`;
         }
+        return line.distance.toFixed(2);
     }
     
-    createLine(start, end) {
-        const distance = this.calculateDistance(start.lat, start.lng, end.lat, end.lng);
+    createLine(points) {
         const lineId = `A${this.lineCounter++}`;
+        const vertices = points.map(p => this.copyVertex(p));
+        this.assignEndpointNodes(vertices, lineId);
         
-        const polyline = L.polyline([
-            [start.lat, start.lng],
-            [end.lat, end.lng]
-        ], {
-            color: '#3b82f6',
-            weight: 3,
-            opacity: 0.8
-        }).addTo(this.linesLayer);
+        this.createLineFromData({
+            id: lineId,
+            points: vertices,
+            distance: this.calculatePathLength(vertices),
+            ...this.getDefaultAttributes()
+        });
+        this.recordCreate(lineId);
+    }
+    
+    createPolygon(points) {
+        const vertices = points.map(p => this.copyVertex(p));
+        const polygonId = `S${this.polygonCounter++}`;
         
-        const startMarker = L.circleMarker([start.lat, start.lng], {
-            radius: 6,
-            fillColor: '#3b82f6',
-            color: '#1e40af',
-            weight: 2,
-            opacity: 1,
-            fillOpacity: 0.8
-        }).addTo(this.linesLayer);
+        this.createLineFromData({
+            id: polygonId,
+            type: 'polygon',
+            points: vertices,
+            ...this.getDefaultAttributes()
+        });
+        this.recordCreate(polygonId);
+    }
+    
+    addLineLayers(line) {
+        const latlngs = line.points.map(p => [p.lat, p.lng]);
+        const isPolygon = line.type === 'polygon';
         
-        const endMarker = L.circleMarker([end.lat, end.lng], {
-            radius: 8,
-            fillColor: '#ef4444',
-            color: '#991b1b',
-            weight: 2,
-            opacity: 1,
-            fillOpacity: 0.8
+        // Polygons keep the same property name so selection and styling work unchanged
+        line.polyline = (isPolygon ? L.polygon : L.polyline)(latlngs, {
+            color: '#3b82f6',
+            weight: 3,
+            opacity: 0.8,
+            fillOpacity: 0.15
         }).addTo(this.linesLayer);
         
-        const midpoint = [(start.lat + end.lat) / 2, (start.lng + end.lng) / 2];
-        const distanceLabel = L.marker(midpoint, {
-            icon: L.divIcon({
-                className: 'distance-label',
-                html: `<div style="background: white; padding: 4px 8px; border-radius: 4px; border: 2px solid #3b82f6; font-weight: bold; font-size: 12px; white-space: nowrap;">${distance.toFixed(2)} m</div>`,
-                iconSize: [60, 20]
-            })
+        // Start is blue, end is red, intermediate vertices are small white handles
+        line.markers = latlngs.map((latlng, index) => {
+            let style = { radius: 5, fillColor: '#ffffff', color: '#1e40af' };
+            if (isPolygon) {
+                style = { radius: 6, fillColor: '#3b82f6', color: '#1e40af' };
+            } else if (index === 0) {
+                style = { radius: 6, fillColor: '#3b82f6', color: '#1e40af' };
+            } else if (index === latlngs.length - 1) {
+                style = { radius: 8, fillColor: '#ef4444', color: '#991b1b' };
+            }
+            
+            // The content is built on hover so it follows drags and CRS changes
+            return L.circleMarker(latlng, {
+                ...style,
+                weight: 2,
+                opacity: 1,
+                fillOpacity: 0.8
+            }).bindTooltip(marker => this.formatCoordinate(marker.getLatLng()), { direction: 'top', offset: [0, -8] })
+                .addTo(this.linesLayer);
+        });
+        
+        line.distanceLabel = L.marker(this.getLabelPosition(line), {
+            icon: this.createLabelIcon(line, '#3b82f6')
         }).addTo(this.linesLayer);
+    }
+    
+    removeLineLayers(line) {
+        line.polyline.remove();
+        line.markers.forEach(marker => marker.remove());
+        line.distanceLabel.remove();
+    }
+    
+    createLabelIcon(line, borderColor) {
+        const text = line.type === 'polygon' ? `${line.area.toFixed(2)} m²` : `${line.distance.toFixed(2)} m`;
         
-        const line = {
-            id: lineId,
-            start: { lat: start.lat, lng: start.lng },
-            end: { lat: end.lat, lng: end.lng },
-            distance: distance,
-            depth: '',
-            width: '',
-            excavationType: 'العادي',
-            roadType: 'Soil',
-            polyline: polyline,
-            startMarker: startMarker,
-            endMarker: endMarker,
-            distanceLabel: distanceLabel
-        };
+        return L.divIcon({
+            className: 'distance-label',
+            html: `<div style="background: white; padding: 4px 8px; border-radius: 4px; border: 2px solid ${borderColor}; font-weight: bold; font-size: 12px; white-space: nowrap;">${text}</div>`,
+            iconSize: [60, 20]
+        });
+    }
+    
+    getLabelPosition(line) {
+        if (line.type === 'polygon') {
+            const sum = line.points.reduce((acc, p) => ({ lat: acc.lat + p.lat, lng: acc.lng + p.lng }), { lat: 0, lng: 0 });
+            return [sum.lat / line.points.length, sum.lng / line.points.length];
+        }
+        return this.getPathMidpoint(line.points);
+    }
+    
+    // Polygons are stored without the closing vertex
+    getRing(line) {
+        return line.type === 'polygon' ? [...line.points, line.points[0]] : line.points;
+    }
+    
+    // Initial great-circle bearing from a to b, degrees clockwise from north
+    calculateBearing(a, b) {
+        const φ1 = a.lat * Math.PI / 180;
+        const φ2 = b.lat * Math.PI / 180;
+        const Δλ = (b.lng - a.lng) * Math.PI / 180;
+        const y = Math.sin(Δλ) * Math.cos(φ2);
+        const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+    
+    destinationPoint(start, bearing, distance) {
+        const R = 6371000;
+        const δ = distance / R;
+        const θ = bearing * Math.PI / 180;
+        const φ1 = start.lat * Math.PI / 180;
+        const λ1 = start.lng * Math.PI / 180;
+        const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+        const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1), Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+        return L.latLng(φ2 * 180 / Math.PI, λ2 * 180 / Math.PI);
+    }
+    
+    calculatePathLength(points) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            total += this.calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+        }
+        return total;
+    }
+    
+    // Point halfway along the path, used to place the distance label
+    getPathMidpoint(points) {
+        let remaining = this.calculatePathLength(points) / 2;
         
-        this.lines.push(line);
-        this.addLineToTable(line);
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const leg = this.calculateDistance(a.lat, a.lng, b.lat, b.lng);
+            
+            if (leg > 0 && remaining <= leg) {
+                const t = remaining / leg;
+                return [a.lat + (b.lat - a.lat) * t, a.lng + (b.lng - a.lng) * t];
+            }
+            remaining -= leg;
+        }
+        
+        return [points[0].lat, points[0].lng];
+    }
+    
+    // Geodesic area on the sphere, in square metres
+    calculatePolygonArea(points) {
+        const R = 6371000;
+        const toRad = Math.PI / 180;
+        let area = 0;
+        
+        for (let i = 0; i < points.length; i++) {
+            const p1 = points[i];
+            const p2 = points[(i + 1) % points.length];
+            area += (p2.lng - p1.lng) * toRad * (2 + Math.sin(p1.lat * toRad) + Math.sin(p2.lat * toRad));
+        }
+        
+        return Math.abs(area * R * R / 2);
     }
     
     calculateDistance(lat1, lon1, lat2, lon2) {
@@ -440,42 +1344,240 @@ class MapDrawingApp {
         return R * c;
     }
     
+    // WGS 84 lat/lng to easting/northing in one of PROJECTED_CRS
+    projectToCrs(latlng, code) {
+        const crs = PROJECTED_CRS[code];
+        const ellipsoid = ELLIPSOIDS[crs.ellipsoid];
+        let { lat, lng } = latlng;
+        if (crs.toWgs84) {
+            ({ lat, lng } = this.shiftDatum(lat, lng, ELLIPSOIDS.wgs84, ellipsoid, crs.toWgs84.map(v => -v)));
+        }
+        return this.transverseMercatorForward(lat, lng, ellipsoid, crs.zone * 6 - 183);
+    }
+    
+    unprojectFromCrs(easting, northing, code) {
+        const crs = PROJECTED_CRS[code];
+        const ellipsoid = ELLIPSOIDS[crs.ellipsoid];
+        const latlng = this.transverseMercatorInverse(easting, northing, ellipsoid, crs.zone * 6 - 183);
+        return crs.toWgs84
+            ? this.shiftDatum(latlng.lat, latlng.lng, ellipsoid, ELLIPSOIDS.wgs84, crs.toWgs84)
+            : latlng;
+    }
+    
+    // UTM (northern hemisphere) series after Snyder, "Map Projections: A Working Manual";
+    // millimetre-accurate within a zone
+    transverseMercatorForward(lat, lng, { a, f }, centralMeridian) {
+        const k0 = 0.9996;
+        const e2 = f * (2 - f);
+        const ep2 = e2 / (1 - e2);
+        const φ = lat * Math.PI / 180;
+        
+        const N = a / Math.sqrt(1 - e2 * Math.sin(φ) ** 2);
+        const T = Math.tan(φ) ** 2;
+        const C = ep2 * Math.cos(φ) ** 2;
+        const A = (lng - centralMeridian) * Math.PI / 180 * Math.cos(φ);
+        const M = this.meridianArc(φ, a, e2);
+        
+        const x = k0 * N * (A + (1 - T + C) * A ** 3 / 6 + (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120);
+        const y = k0 * (M + N * Math.tan(φ) * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+            (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720));
+        
+        return { x: 500000 + x, y: y };
+    }
+    
+    transverseMercatorInverse(easting, northing, { a, f }, centralMeridian) {
+        const k0 = 0.9996;
+        const e2 = f * (2 - f);
+        const ep2 = e2 / (1 - e2);
+        const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+        
+        const μ = northing / k0 / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 ** 3 / 256));
+        const φ1 = μ + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * μ) +
+            (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * μ) +
+            (151 * e1 ** 3 / 96) * Math.sin(6 * μ) +
+            (1097 * e1 ** 4 / 512) * Math.sin(8 * μ);
+        
+        const C1 = ep2 * Math.cos(φ1) ** 2;
+        const T1 = Math.tan(φ1) ** 2;
+        const N1 = a / Math.sqrt(1 - e2 * Math.sin(φ1) ** 2);
+        const R1 = a * (1 - e2) / (1 - e2 * Math.sin(φ1) ** 2) ** 1.5;
+        const D = (easting - 500000) / (N1 * k0);
+        
+        const φ = φ1 - (N1 * Math.tan(φ1) / R1) * (D * D / 2 -
+            (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4 / 24 +
+            (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6 / 720);
+        const λ = (D - (1 + 2 * T1 + C1) * D ** 3 / 6 +
+            (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5 / 120) / Math.cos(φ1);
+        
+        return { lat: φ * 180 / Math.PI, lng: centralMeridian + λ * 180 / Math.PI };
+    }
+    
+    meridianArc(φ, a, e2) {
+        return a * ((1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 ** 3 / 256) * φ -
+            (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * φ) +
+            (15 * e2 * e2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * φ) -
+            (35 * e2 ** 3 / 3072) * Math.sin(6 * φ));
+    }
+    
+    // Three-parameter datum shift through earth-centred coordinates
+    shiftDatum(lat, lng, from, to, [dx, dy, dz]) {
+        const φ = lat * Math.PI / 180;
+        const λ = lng * Math.PI / 180;
+        const e2From = from.f * (2 - from.f);
+        const N = from.a / Math.sqrt(1 - e2From * Math.sin(φ) ** 2);
+        
+        const x = N * Math.cos(φ) * Math.cos(λ) + dx;
+        const y = N * Math.cos(φ) * Math.sin(λ) + dy;
+        const z = N * (1 - e2From) * Math.sin(φ) + dz;
+        
+        // Iterate latitude on the target ellipsoid (height is ignored)
+        const e2To = to.f * (2 - to.f);
+        const p = Math.hypot(x, y);
+        let φTo = Math.atan2(z, p * (1 - e2To));
+        for (let i = 0; i < 5; i++) {
+            const NTo = to.a / Math.sqrt(1 - e2To * Math.sin(φTo) ** 2);
+            φTo = Math.atan2(z + e2To * NTo * Math.sin(φTo), p);
+        }
+        
+        return { lat: φTo * 180 / Math.PI, lng: Math.atan2(y, x) * 180 / Math.PI };
+    }
+    
+    loadOutputCrs() {
+        const code = localStorage.getItem(OUTPUT_CRS_STORAGE_KEY);
+        if (PROJECTED_CRS[code]) this.outputCrs = code;
+        
+        const select = document.getElementById('outputCrs');
+        select.innerHTML = `<option value="${GEOGRAPHIC_CRS}">WGS 84 latitude/longitude (${GEOGRAPHIC_CRS})</option>` +
+            Object.entries(PROJECTED_CRS).map(([key, crs]) => `<option value="${key}">${crs.name} (${key})</option>`).join('');
+        select.value = this.outputCrs;
+        this.updateCoordinateEntryLabels();
+    }
+    
+    setOutputCrs(code) {
+        this.outputCrs = code;
+        localStorage.setItem(OUTPUT_CRS_STORAGE_KEY, code);
+        this.updateCoordinateEntryLabels();
+        this.renderLinesTable();
+    }
+    
+    getCrsName(code = this.outputCrs) {
+        return code === GEOGRAPHIC_CRS ? `WGS 84 (${code})` : `${PROJECTED_CRS[code].name} (${code})`;
+    }
+    
+    // Easting/northing in the output CRS, or null while it is lat/lng
+    getProjectedPoint(point) {
+        return this.outputCrs === GEOGRAPHIC_CRS ? null : this.projectToCrs(point, this.outputCrs);
+    }
+    
+    formatCoordinate(point) {
+        const projected = this.getProjectedPoint(point);
+        return projected
+            ? `E ${projected.x.toFixed(3)}  N ${projected.y.toFixed(3)}`
+            : `${point.lat.toFixed(6)}, ${point.lng.toFixed(6)}`;
+    }
+    
+    formatEndpoints(line) {
+        // A polygon's ring starts and ends on the same vertex
+        const points = line.type === 'polygon' ? [line.start] : [line.start, line.end];
+        return points.map(point => `<div>${this.formatCoordinate(point)}</div>`).join('');
+    }
+    
+    updateCoordinateEntryLabels() {
+        const projected = this.outputCrs !== GEOGRAPHIC_CRS;
+        const [first, second] = projected ? ['Easting', 'Northing'] : ['Latitude', 'Longitude'];
+        
+        document.getElementById('coordinateEntryLabel').textContent = `New line in ${this.getCrsName()}`;
+        ['Start', 'End'].forEach(end => {
+            document.getElementById(`coordinate${end}X`).placeholder = `${end} ${first}`;
+            document.getElementById(`coordinate${end}Y`).placeholder = `${end} ${second}`;
+        });
+    }
+    
+    // Creates a straight line from typed endpoints in the output CRS. The end becomes
+    // the next start so a run of connected segments can be keyed in one after another.
+    addLineByCoordinates() {
+        const read = id => parseFloat(document.getElementById(id).value);
+        const values = ['coordinateStartX', 'coordinateStartY', 'coordinateEndX', 'coordinateEndY'].map(read);
+        if (values.some(isNaN)) {
+            alert('Enter both coordinates of the start and the end point.');
+            return;
+        }
+        
+        const toLatLng = (x, y) => {
+            if (this.outputCrs === GEOGRAPHIC_CRS) {
+                return Math.abs(x) <= 90 && Math.abs(y) <= 180 ? { lat: x, lng: y } : null;
+            }
+            if (x < 100000 || x > 900000 || y < 0 || y > 9400000) return null;
+            return this.unprojectFromCrs(x, y, this.outputCrs);
+        };
+        const start = toLatLng(values[0], values[1]);
+        const end = toLatLng(values[2], values[3]);
+        if (!start || !end) {
+            alert(`The coordinates are outside the range of ${this.getCrsName()}.`);
+            return;
+        }
+        
+        this.createLine([start, end]);
+        this.map.fitBounds(this.lines[this.lines.length - 1].polyline.getBounds(), { maxZoom: 19 });
+        
+        document.getElementById('coordinateStartX').value = document.getElementById('coordinateEndX').value;
+        document.getElementById('coordinateStartY').value = document.getElementById('coordinateEndY').value;
+        document.getElementById('coordinateEndX').value = '';
+        document.getElementById('coordinateEndY').value = '';
+    }
+    
     addLineToTable(line) {
         const tbody = document.getElementById('linesTableBody');
         const row = document.createElement('tr');
         row.dataset.lineId = line.id;
         
+        const vertexInfo = line.points.length > 2 ? `<div class="vertex-count">${line.points.length} pts</div>` : '';
+        // A polygon already measures the surface, so it has no width
+        const fieldCells = this.schema.map(field => field.linesOnly && line.type === 'polygon'
+            ? '<td class="not-applicable">—</td>'
+            : `<td>${this.renderFieldInput(field, line[field.key])}</td>`).join('');
+        
         row.innerHTML = `
-            <td>${line.id}</td>
-            <td>${line.distance.toFixed(2)}</td>
-            <td><input type="number" step="0.01" value="${line.depth}" data-field="depth"></td>
-            <td><input type="number" step="0.01" value="${line.width}" data-field="width"></td>
-            <td>
-                <select data-field="excavationType">
-                    <option value="العادي" ${line.excavationType === 'العادي' ? 'selected' : ''}>العادي</option>
-                    <option value="الطارئ" ${line.excavationType === 'الطارئ' ? 'selected' : ''}>الطارئ</option>
-                    <option value="المتعدد" ${line.excavationType === 'المتعدد' ? 'selected' : ''}>المتعدد</option>
-                    <option value="توصيلة المباني" ${line.excavationType === 'توصيلة المباني' ? 'selected' : ''}>توصيلة المباني</option>
-                    <option value="مخططات جديدة" ${line.excavationType === 'مخططات جديدة' ? 'selected' : ''}>مخططات جديدة</option>
-                </select>
-            </td>
-            <td>
-                <select data-field="roadType">
-                    <option value="Soil" ${line.roadType === 'Soil' ? 'selected' : ''}>Soil</option>
-                    <option value="Asphalt" ${line.roadType === 'Asphalt' ? 'selected' : ''}>Asphalt</option>
-                    <option value="tiles/blocks" ${line.roadType === 'tiles/blocks' ? 'selected' : ''}>tiles/blocks</option>
-                </select>
-            </td>
-            <td><button class="delete-btn" data-line-id="${line.id}">Delete</button></td>
+            <td>${this.escapeXml(line.id)}${vertexInfo}</td>
+            <td>${this.formatMeasurement(line)}</td>
+            <td class="coordinates" data-coordinates>${this.formatEndpoints(line)}</td>
+            ${fieldCells}
+            <td data-quantity="area"></td>
+            <td data-quantity="volume"></td>
+            <td data-quantity="cost"></td>
+            <td><button class="delete-btn" data-line-id="${this.escapeXml(line.id)}">Delete</button></td>
         `;
         
         row.querySelectorAll('input, select').forEach(input => {
+            // 'input' keeps the quantities live while typing, 'change' covers selects
+            ['input', 'change'].forEach(eventName => {
+                input.addEventListener(eventName, (e) => {
+                    const field = e.target.dataset.field;
+                    const lineData = this.lines.find(l => l.id === line.id);
+                    if (lineData) {
+                        lineData[field] = this.readFieldInput(e.target);
+                        this.updateTableRow(lineData);
+                    }
+                });
+            });
+            
+            // One history entry per committed edit, not per keystroke
+            const field = input.dataset.field;
+            let committedValue = line[field];
+            input.addEventListener('focus', () => {
+                committedValue = this.lines.find(l => l.id === line.id)[field];
+            });
             input.addEventListener('change', (e) => {
-                const field = e.target.dataset.field;
-                const lineData = this.lines.find(l => l.id === line.id);
-                if (lineData) {
-                    lineData[field] = e.target.value;
-                }
+                const before = committedValue;
+                const after = this.readFieldInput(e.target);
+                committedValue = after;
+                if (before === after) return;
+                
+                this.recordCommand({
+                    label: `edit ${field} of ${line.id}`,
+                    undo: () => this.setLineAttribute(line.id, field, before),
+                    redo: () => this.setLineAttribute(line.id, field, after)
+                });
             });
         });
         
@@ -483,181 +1585,369 @@ class MapDrawingApp {
             this.deleteLine(line.id);
         });
         
-        tbody.appendChild(row);
+        // Rows follow the order of this.lines so undoing a delete puts the row back in place
+        const index = this.lines.indexOf(line);
+        tbody.insertBefore(row, tbody.children[index] || null);
+        this.updateTableRow(line);
     }
     
-    deleteLine(lineId) {
-        const line = this.lines.find(l => l.id === lineId);
-        if (!line) return;
-        
-        if (this.selectedLine && this.selectedLine.id === lineId) {
-            this.deselectLine();
-        }
+    // Trench quantities: restoration area = length × width, volume = area × depth.
+    // A polygon is its own restoration area. Missing inputs give null.
+    calculateQuantities(line) {
+        const depth = parseFloat(line.depth);
+        const width = parseFloat(line.width);
         
-        line.polyline.remove();
-        line.startMarker.remove();
-        line.endMarker.remove();
-        line.distanceLabel.remove();
+        const area = line.type === 'polygon'
+            ? line.area
+            : (isNaN(width) ? null : line.distance * width);
+        const volume = area === null || isNaN(depth) ? null : area * depth;
         
-        this.lines = this.lines.filter(l => l.id !== lineId);
+        // The rate's unit picks which quantity is priced; polygons have no running length
+        const rate = this.rates[this.getRateKey(line.roadType, line.excavationType)];
+        const price = rate ? parseFloat(rate.price) : NaN;
+        const quantity = { m: line.type === 'polygon' ? null : line.distance, m2: area, m3: volume }[rate ? rate.unit : 'm'];
+        const cost = isNaN(price) || quantity === null || quantity === undefined ? null : quantity * price;
         
-        const row = document.querySelector(`tr[data-line-id="${lineId}"]`);
-        if (row) row.remove();
+        return { area, volume, cost };
     }
     
-    startGPSTracking() {
-        if (!navigator.geolocation) {
-            document.getElementById('gpsStatus').textContent = 'Not Supported';
-            return;
+    getRateKey(roadType, excavationType) {
+        return `${roadType}|${excavationType}`;
+    }
+    
+    // Line field schema. Each field is { key, label, type, unit, required, options };
+    // it drives the table columns, validation, the saved JSON and the export headers.
+    loadSchema() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(SCHEMA_STORAGE_KEY));
+        } catch (error) {
+            console.error('Could not read line fields:', error);
         }
         
-        document.getElementById('gpsStatus').textContent = 'Activating...';
+        const { fields, errors } = this.normalizeSchema(stored || DEFAULT_SCHEMA);
+        this.schema = errors.length > 0 ? this.normalizeSchema(DEFAULT_SCHEMA).fields : fields;
+    }
+    
+    saveSchema() {
+        localStorage.setItem(SCHEMA_STORAGE_KEY, JSON.stringify(this.schema));
+    }
+    
+    // Checks a field list and fills in the built-in fields, which are always present
+    normalizeSchema(input) {
+        const fields = [];
+        const errors = [];
+        const keys = new Set();
         
-        this.gpsWatchId = navigator.geolocation.watchPosition(
-            (position) => {
-                const { latitude, longitude, accuracy } = position.coords;
-                
-                this.currentGpsPosition = { lat: latitude, lng: longitude };
-                
-                const statusEl = document.getElementById('gpsStatus');
-                statusEl.textContent = 'Active';
-                statusEl.classList.add('status-active');
-                
-                document.getElementById('gpsAccuracyRow').style.display = 'flex';
-                document.getElementById('gpsAccuracy').textContent = `${accuracy.toFixed(1)} m`;
-                
-                if (!this.gpsMarker) {
-                    const icon = L.divIcon({
-                        className: 'gps-marker-container',
-                        html: `<div class="gps-marker"></div>
-                               <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); width: 60px; height: 60px; border-radius: 50%; background: rgba(16, 185, 129, 0.2); border: 2px solid rgba(16, 185, 129, 0.4);"></div>`,
-                        iconSize: [60, 60],
-                        iconAnchor: [30, 30]
-                    });
-                    
-                    this.gpsMarker = L.marker([latitude, longitude], { icon: icon, zIndexOffset: 1000 }).addTo(this.map);
-                } else {
-                    this.gpsMarker.setLatLng([latitude, longitude]);
+        (Array.isArray(input) ? input : []).forEach((field, index) => {
+            const label = `Field ${index + 1}${field && field.key ? ` (${field.key})` : ''}`;
+            if (!field || typeof field.key !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(field.key)) {
+                errors.push(`${label}: the key must start with a letter and contain only letters, digits and _.`);
+                return;
+            }
+            if (RESERVED_FIELD_KEYS.includes(field.key)) {
+                errors.push(`${label}: "${field.key}" is a reserved line property.`);
+                return;
+            }
+            if (keys.has(field.key)) {
+                errors.push(`${label}: the key is used by another field.`);
+                return;
+            }
+            
+            const builtIn = DEFAULT_SCHEMA.find(f => f.key === field.key);
+            const type = builtIn ? builtIn.type : field.type;
+            if (!FIELD_TYPES[type]) {
+                errors.push(`${label}: unknown type "${field.type}".`);
+                return;
+            }
+            
+            const normalized = {
+                ...builtIn,
+                key: field.key,
+                label: String(field.label || (builtIn ? builtIn.label : field.key)).trim(),
+                type: type,
+                unit: String(field.unit !== undefined ? field.unit : (builtIn ? builtIn.unit : '')).trim(),
+                required: field.required !== undefined ? !!field.required : !!(builtIn && builtIn.required)
+            };
+            if (type === 'select') {
+                const options = Array.isArray(field.options) ? field.options : (builtIn ? builtIn.options : []);
+                normalized.options = [...new Set(options.map(option => String(option).trim()).filter(Boolean))];
+                if (normalized.options.length === 0) {
+                    errors.push(`${label}: a dropdown needs at least one option.`);
+                    return;
                 }
-            },
-            (error) => {
-                console.error('GPS Error:', error);
-                document.getElementById('gpsStatus').textContent = 'Error';
-                alert('GPS Error: ' + error.message + '\nPlease enable location services and refresh the page.');
-            },
-            {
-                enableHighAccuracy: true,
-                maximumAge: 0,
-                timeout: 5000
+            } else {
+                delete normalized.options;
             }
-        );
-    }
-    
-    goToCurrentLocation() {
-        if (!this.currentGpsPosition) {
-            alert('GPS position not available yet. Please wait for GPS signal.');
-            return;
-        }
+            
+            keys.add(field.key);
+            fields.push(normalized);
+        });
         
-        this.map.setView([this.currentGpsPosition.lat, this.currentGpsPosition.lng], 18, {
-            animate: true,
-            duration: 1
+        DEFAULT_SCHEMA.forEach((field, index) => {
+            if (!keys.has(field.key)) {
+                fields.splice(Math.min(index, fields.length), 0, { ...field, options: field.options && [...field.options] });
+            }
         });
         
-        // Flash the GPS marker
-        if (this.gpsMarker) {
-            const originalIcon = this.gpsMarker.getIcon();
-            const flashIcon = L.divIcon({
-                className: 'gps-marker-container',
-                html: `<div class="gps-marker" style="background: #3b82f6;"></div>
-                       <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); width: 80px; height: 80px; border-radius: 50%; background: rgba(59, 130, 246, 0.3); border: 3px solid rgba(59, 130, 246, 0.6);"></div>`,
-                iconSize: [80, 80],
-                iconAnchor: [40, 40]
-            });
-            
-            this.gpsMarker.setIcon(flashIcon);
-            setTimeout(() => {
-                this.gpsMarker.setIcon(originalIcon);
-            }, 1000);
+        return { fields, errors };
+    }
+    
+    getField(key) {
+        return this.schema.find(field => field.key === key);
+    }
+    
+    getFieldHeader(field) {
+        return field.unit ? `${field.label} (${field.unit})` : field.label;
+    }
+    
+    // Dropdowns start on their first option, as excavation and road type always have
+    getFieldDefault(field) {
+        if (field.type === 'select') return field.options[0];
+        if (field.type === 'boolean') return false;
+        return '';
+    }
+    
+    getDefaultAttributes() {
+        const attributes = {};
+        this.schema.forEach(field => attributes[field.key] = this.getFieldDefault(field));
+        return attributes;
+    }
+    
+    // Brings a value from a file (JSON, GeoJSON, KML text) into the field's stored form:
+    // booleans as true/false, everything else as the string an input would hold
+    coerceFieldValue(field, value) {
+        if (value === undefined || value === null || (value === '' && field.type === 'select')) {
+            return this.getFieldDefault(field);
         }
+        if (field.type === 'boolean') {
+            return value === true || /^(true|yes|1|نعم)$/i.test(String(value).trim());
+        }
+        return String(value);
     }
     
-    captureStartPoint() {
-        if (!this.currentGpsPosition) {
-            alert('GPS position not available. Please wait for GPS signal.');
-            return;
+    formatFieldValue(field, value) {
+        if (field.type === 'boolean') return value ? 'Yes' : 'No';
+        return value === undefined || value === null ? '' : value;
+    }
+    
+    validateFieldValue(field, value) {
+        if (!field) return null;
+        if (value === '' || value === undefined || value === null) {
+            return field.required ? `${field.label} is required.` : null;
         }
+        if (field.type === 'number' && isNaN(parseFloat(value))) return `${field.label} must be a number.`;
+        if (field.type === 'date' && isNaN(Date.parse(value))) return `${field.label} must be a date.`;
+        if (field.type === 'select' && !field.options.includes(value)) return `"${value}" is not an option of ${field.label}.`;
+        return null;
+    }
+    
+    renderFieldInput(field, value) {
+        const attributes = `data-field="${field.key}"${field.required ? ' required' : ''}`;
+        const text = this.escapeXml(value === undefined || value === null ? '' : value);
         
-        this.tempStartPoint = {
-            lat: this.currentGpsPosition.lat,
-            lng: this.currentGpsPosition.lng
-        };
-        
-        this.tempStartPoint.marker = L.circleMarker(
-            [this.currentGpsPosition.lat, this.currentGpsPosition.lng],
-            {
-                radius: 6,
-                fillColor: '#3b82f6',
-                color: '#1e40af',
-                weight: 2,
-                opacity: 1,
-                fillOpacity: 0.8
+        switch (field.type) {
+            case 'number':
+                return `<input type="number" step="0.01" value="${text}" ${attributes}>`;
+            case 'date':
+                return `<input type="date" value="${text}" ${attributes}>`;
+            case 'boolean':
+                return `<input type="checkbox" ${value ? 'checked' : ''} ${attributes}>`;
+            case 'select': {
+                // A value that is no longer an option stays visible until it is changed
+                const options = field.options.includes(value) || value === '' ? field.options : [value, ...field.options];
+                return `<select ${attributes}>
+                    ${options.map(option => `<option value="${this.escapeXml(option)}" ${option === value ? 'selected' : ''}>${this.escapeXml(option)}</option>`).join('')}
+                </select>`;
             }
-        ).addTo(this.linesLayer);
-        
-        this.captureState = 'waiting_for_end';
-        document.getElementById('captureEndBtn').style.display = 'block';
+            default:
+                return `<input type="text" value="${text}" ${attributes}>`;
+        }
     }
     
-    captureEndPoint() {
-        if (!this.currentGpsPosition || !this.tempStartPoint) {
-            alert('GPS position or start point not available.');
-            return;
+    readFieldInput(input) {
+        return input.type === 'checkbox' ? input.checked : input.value;
+    }
+    
+    writeFieldInput(input, value) {
+        if (input.type === 'checkbox') {
+            input.checked = !!value;
+        } else {
+            input.value = value;
         }
+    }
+    
+    renderLinesTableHead() {
+        const minWidths = { number: 80, boolean: 60, date: 120, text: 120, select: 120 };
         
-        const endPoint = {
-            lat: this.currentGpsPosition.lat,
-            lng: this.currentGpsPosition.lng
-        };
-        
-        this.createLine(this.tempStartPoint, endPoint);
-        
-        this.tempStartPoint.marker.remove();
-        this.tempStartPoint = null;
-        
-        this.captureState = 'idle';
-        document.getElementById('captureEndBtn').style.display = 'none';
+        document.getElementById('linesTableHead').innerHTML = `
+            <tr>
+                <th>Line</th>
+                <th>Length (m)</th>
+                <th style="min-width: 150px;">Start / End (${this.outputCrs === GEOGRAPHIC_CRS ? 'lat, lng' : 'E, N'})</th>
+                ${this.schema.map(field => `<th style="min-width: ${minWidths[field.type]}px;">${this.escapeXml(this.getFieldHeader(field))}${field.required ? ' *' : ''}</th>`).join('')}
+                <th>Area (m²)</th>
+                <th>Volume (m³)</th>
+                <th>Cost</th>
+                <th>Action</th>
+            </tr>
+        `;
     }
     
-    saveDrawing() {
-        const workOrderNo = document.getElementById('workOrderNo').value;
-        const workType = document.getElementById('workType').value;
+    // Rebuilds every row after the columns change
+    renderLinesTable() {
+        this.renderLinesTableHead();
+        document.getElementById('linesTableBody').innerHTML = '';
+        this.lines.forEach(line => this.addLineToTable(line));
+        this.updateQuantityTotals();
         
-        const data = {
-            workOrderNo: workOrderNo,
-            workType: workType,
-            lines: this.lines.map(line => ({
-                id: line.id,
-                start: line.start,
-                end: line.end,
-                distance: line.distance,
-                depth: line.depth,
-                width: line.width,
-                excavationType: line.excavationType,
-                roadType: line.roadType
-            }))
+        if (this.selectedLine) {
+            const row = document.querySelector(`tr[data-line-id="${CSS.escape(this.selectedLine.id)}"]`);
+            if (row) row.classList.add('selected');
+        }
+    }
+    
+    renderSchemaEditor() {
+        const tbody = document.getElementById('schemaTableBody');
+        tbody.innerHTML = '';
+        
+        this.schema.forEach(field => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="text" value="${this.escapeXml(field.label)}" data-schema-field="label"></td>
+                <td><code>${field.key}</code></td>
+                <td>
+                    <select data-schema-field="type" ${field.builtIn ? 'disabled' : ''}>
+                        ${Object.entries(FIELD_TYPES).map(([type, label]) => `<option value="${type}" ${field.type === type ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </td>
+                <td><input type="text" value="${this.escapeXml(field.unit)}" data-schema-field="unit"></td>
+                <td><input type="checkbox" ${field.required ? 'checked' : ''} data-schema-field="required"></td>
+                <td><input type="text" value="${this.escapeXml((field.options || []).join(', '))}" data-schema-field="options" ${field.type === 'select' ? '' : 'disabled'}></td>
+                <td>${field.builtIn ? '' : '<button class="delete-btn">Remove</button>'}</td>
+            `;
+            
+            row.querySelectorAll('[data-schema-field]').forEach(input => {
+                input.addEventListener('change', (e) => {
+                    const property = e.target.dataset.schemaField;
+                    this.updateSchemaField(field.key, property, property === 'required' ? e.target.checked : e.target.value);
+                });
+            });
+            
+            const removeBtn = row.querySelector('.delete-btn');
+            if (removeBtn) removeBtn.addEventListener('click', () => this.removeSchemaField(field.key));
+            
+            tbody.appendChild(row);
+        });
+    }
+    
+    // Options are typed as one comma-separated list; the Arabic comma works too
+    parseFieldOptions(text) {
+        return text.split(/[,،]/).map(option => option.trim()).filter(Boolean);
+    }
+    
+    updateSchemaField(key, property, value) {
+        const fields = this.schema.map(field => field.key !== key ? field : {
+            ...field,
+            [property]: property === 'options' ? this.parseFieldOptions(value) : value,
+            // A field turned into a dropdown needs options; start from the values already entered
+            ...(property === 'type' && value === 'select' && !field.options
+                ? { options: [...new Set(this.lines.map(line => line[key]).filter(v => v !== '' && v !== undefined && v !== null).map(String))] }
+                : {})
+        });
+        
+        this.applySchema(fields);
+    }
+    
+    addSchemaField() {
+        const labelInput = document.getElementById('newFieldLabel');
+        const label = labelInput.value.trim();
+        const type = document.getElementById('newFieldType').value;
+        const options = this.parseFieldOptions(document.getElementById('newFieldOptions').value);
+        
+        if (!label) {
+            alert('Enter a label for the new field.');
+            return;
+        }
+        
+        // camelCase key from the label; labels without Latin letters get a numbered key
+        let key = label.replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => next ? next.toUpperCase() : '')
+            .replace(/^[^A-Za-z]+/, '');
+        key = key.charAt(0).toLowerCase() + key.slice(1);
+        if (!key || this.getField(key) || RESERVED_FIELD_KEYS.includes(key)) {
+            let number = 1;
+            while (this.getField(`field${number}`)) number++;
+            key = `field${number}`;
+        }
+        
+        const field = { key, label, type, unit: document.getElementById('newFieldUnit').value.trim(), required: false };
+        if (type === 'select') field.options = options;
+        
+        if (this.applySchema([...this.schema, field])) {
+            labelInput.value = '';
+            document.getElementById('newFieldUnit').value = '';
+            document.getElementById('newFieldOptions').value = '';
+        }
+    }
+    
+    removeSchemaField(key) {
+        const field = this.getField(key);
+        const used = this.lines.filter(line => line[key] !== '' && line[key] !== undefined && line[key] !== false).length;
+        if (used > 0 && !confirm(`Remove the field "${field.label}"?\n\nIts values on ${used} line(s) will be discarded.`)) return;
+        
+        this.lines.forEach(line => delete line[key]);
+        this.applySchema(this.schema.filter(f => f.key !== key));
+    }
+    
+    resetSchema() {
+        if (!confirm('Reset the line fields to depth, width, excavation type and road type?\n\nValues of custom fields are not saved with the drawing afterwards.')) return;
+        this.applySchema(DEFAULT_SCHEMA);
+    }
+    
+    // Validates and installs a new field list, then redraws everything built from it.
+    // Returns false (keeping the current schema) when the list is invalid.
+    applySchema(input) {
+        const { fields, errors } = this.normalizeSchema(input);
+        if (errors.length > 0) {
+            alert(['The line fields were not changed:', ...errors].join('\n'));
+            this.renderSchemaEditor();
+            return false;
+        }
+        
+        this.schema = fields;
+        
+        // Lines pick up defaults for new fields
+        this.lines.forEach(line => this.schema.forEach(field => {
+            if (line[field.key] === undefined) line[field.key] = this.getFieldDefault(field);
+        }));
+        
+        this.saveSchema();
+        this.renderSchemaEditor();
+        this.renderLinesTable();
+        this.renderRatesTable();
+        this.renderValidationRules();
+        this.scheduleAutosave();
+        return true;
+    }
+    
+    // Adds fields a loaded drawing uses that this schema lacks, keeping the existing ones
+    mergeSchemaFields(input) {
+        const { fields } = this.normalizeSchema(input);
+        const missing = fields.filter(field => !this.getField(field.key));
+        if (missing.length > 0) this.applySchema([...this.schema, ...missing]);
+    }
+    
+    exportSchemaTemplate() {
+        const template = {
+            type: 'line-field-template',
+            version: 1,
+            fields: this.schema.map(({ key, label, type, unit, required, options }) => ({ key, label, type, unit, required, options }))
         };
         
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `map-drawing-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        this.downloadFile(JSON.stringify(template, null, 2), 'application/json', 'line-fields-template.json');
     }
     
-    loadDrawing(e) {
+    importSchemaTemplate(e) {
         const file = e.target.files[0];
         if (!file) return;
         
@@ -665,173 +1955,3535 @@ class MapDrawingApp {
         reader.onload = (event) => {
             try {
                 const data = JSON.parse(event.target.result);
-                
-                if (data.workOrderNo) {
-                    document.getElementById('workOrderNo').value = data.workOrderNo;
+                const fields = Array.isArray(data) ? data : data.fields;
+                if (!Array.isArray(fields)) {
+                    alert('This file is not a line field template.');
+                    return;
                 }
-                if (data.workType) {
-                    document.getElementById('workType').value = data.workType;
+                if (this.applySchema(fields)) {
+                    alert(`Loaded ${this.schema.length} line field(s) from ${file.name}.`);
                 }
+            } catch (error) {
+                alert('Error loading template. Please check the file format.');
+                console.error(error);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    }
+    
+    loadRates() {
+        try {
+            this.rates = JSON.parse(localStorage.getItem(RATES_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Could not read unit prices:', error);
+            this.rates = {};
+        }
+    }
+    
+    saveRates() {
+        localStorage.setItem(RATES_STORAGE_KEY, JSON.stringify(this.rates));
+    }
+    
+    renderRatesTable() {
+        const tbody = document.getElementById('ratesTableBody');
+        tbody.innerHTML = '';
+        
+        this.getField('roadType').options.forEach(roadType => {
+            this.getField('excavationType').options.forEach(excavationType => {
+                const key = this.getRateKey(roadType, excavationType);
+                const rate = this.rates[key] || { price: '', unit: 'm' };
+                
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${this.escapeXml(roadType)}</td>
+                    <td>${this.escapeXml(excavationType)}</td>
+                    <td><input type="number" step="0.01" min="0" value="${rate.price}" data-rate-field="price"></td>
+                    <td>
+                        <select data-rate-field="unit">
+                            ${Object.entries(RATE_UNITS).map(([unit, label]) => `<option value="${unit}" ${rate.unit === unit ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </td>
+                `;
                 
-                this.lines.forEach(line => {
-                    line.polyline.remove();
-                    line.startMarker.remove();
-                    line.endMarker.remove();
-                    line.distanceLabel.remove();
+                row.querySelectorAll('input, select').forEach(input => {
+                    input.addEventListener('change', (e) => {
+                        this.rates[key] = { ...(this.rates[key] || { price: '', unit: 'm' }), [e.target.dataset.rateField]: e.target.value };
+                        this.saveRates();
+                        this.lines.forEach(line => this.updateTableRow(line));
+                        this.updateQuantityTotals();
+                    });
                 });
                 
-                this.lines = [];
-                document.getElementById('linesTableBody').innerHTML = '';
+                tbody.appendChild(row);
+            });
+        });
+    }
+    
+    loadValidationRules() {
+        try {
+            this.validationRules = { ...DEFAULT_VALIDATION_RULES, ...JSON.parse(localStorage.getItem(VALIDATION_STORAGE_KEY)) };
+        } catch (error) {
+            console.error('Could not read validation rules:', error);
+        }
+        
+        document.getElementById('validation-requireWorkOrderNo').checked = this.validationRules.requireWorkOrderNo;
+        document.getElementById('validation-checkOverlaps').checked = this.validationRules.checkOverlaps;
+        document.getElementById('validation-minLength').value = this.validationRules.minLength;
+        document.getElementById('validation-onFailure').value = this.validationRules.onFailure;
+    }
+    
+    saveValidationRules() {
+        localStorage.setItem(VALIDATION_STORAGE_KEY, JSON.stringify(this.validationRules));
+    }
+    
+    updateValidationRule(key, value) {
+        this.validationRules[key] = value;
+        this.saveValidationRules();
+        this.scheduleValidation();
+    }
+    
+    // Required-field checkboxes and the min/max table, rebuilt when the schema changes.
+    // Fields the schema marks required are always checked; these add to them for export.
+    renderValidationRules() {
+        const requiredContainer = document.getElementById('validationRequiredFields');
+        requiredContainer.innerHTML = '';
+        this.schema.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const checked = field.required || this.validationRules.requiredFields.includes(field.key);
+            label.innerHTML = `<input type="checkbox" ${checked ? 'checked' : ''} ${field.required ? 'disabled' : ''}> ${this.escapeXml(this.getFieldHeader(field))}`;
+            
+            label.querySelector('input').addEventListener('change', (e) => {
+                const others = this.validationRules.requiredFields.filter(key => key !== field.key);
+                this.updateValidationRule('requiredFields', e.target.checked ? [...others, field.key] : others);
+            });
+            requiredContainer.appendChild(label);
+        });
+        
+        const tbody = document.getElementById('validationRangesBody');
+        tbody.innerHTML = '';
+        
+        const numberFields = this.schema.filter(field => field.type === 'number');
+        this.getField('excavationType').options.forEach(excavationType => {
+            numberFields.forEach(field => {
+                const key = `${excavationType}|${field.key}`;
+                const range = this.validationRules.ranges[key] || { min: '', max: '' };
+                
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${this.escapeXml(excavationType)}</td>
+                    <td>${this.escapeXml(this.getFieldHeader(field))}</td>
+                    <td><input type="number" step="0.01" value="${range.min}" data-range-bound="min"></td>
+                    <td><input type="number" step="0.01" value="${range.max}" data-range-bound="max"></td>
+                `;
                 
-                const linesToLoad = data.lines || data;
-                linesToLoad.forEach(lineData => {
-                    this.createLineFromData(lineData);
+                row.querySelectorAll('input').forEach(input => {
+                    input.addEventListener('change', (e) => {
+                        const ranges = { ...this.validationRules.ranges };
+                        ranges[key] = { ...(ranges[key] || { min: '', max: '' }), [e.target.dataset.rangeBound]: e.target.value };
+                        if (ranges[key].min === '' && ranges[key].max === '') delete ranges[key];
+                        this.updateValidationRule('ranges', ranges);
+                    });
                 });
                 
-                alert('Drawing loaded successfully!');
-            } catch (error) {
-                alert('Error loading file. Please check the file format.');
-                console.error(error);
+                tbody.appendChild(row);
+            });
+        });
+    }
+    
+    // Returns [{ lineId, message }]; lineId is null for problems with the work order itself
+    validateDrawing() {
+        const rules = this.validationRules;
+        const issues = [];
+        // Lines sharing a duplicated id would otherwise report everything twice
+        const add = (lineId, message) => {
+            if (!issues.some(issue => issue.lineId === lineId && issue.message === message)) {
+                issues.push({ lineId, message });
             }
         };
-        reader.readAsText(file);
+        
+        if (rules.requireWorkOrderNo && !document.getElementById('workOrderNo').value.trim()) {
+            add(null, 'Work order number is empty');
+        }
+        
+        const idCounts = {};
+        this.lines.forEach(line => idCounts[line.id] = (idCounts[line.id] || 0) + 1);
+        
+        this.lines.forEach(line => {
+            if (idCounts[line.id] > 1) {
+                add(line.id, `Line id ${line.id} is used ${idCounts[line.id]} times`);
+            }
+            
+            this.schema.forEach(field => {
+                if (field.linesOnly && line.type === 'polygon') return;
+                
+                const value = line[field.key];
+                const blank = value === '' || value === null || value === undefined;
+                const header = this.getFieldHeader(field);
+                if (blank && (field.required || rules.requiredFields.includes(field.key))) {
+                    add(line.id, `${header} is missing`);
+                    return;
+                }
+                
+                const error = this.validateFieldValue(field, value);
+                if (error) {
+                    add(line.id, error);
+                    return;
+                }
+                
+                const range = rules.ranges[`${line.excavationType}|${field.key}`];
+                if (!range || blank || field.type !== 'number') return;
+                const number = parseFloat(value);
+                const min = parseFloat(range.min);
+                const max = parseFloat(range.max);
+                if (number < min) {
+                    add(line.id, `${header} ${number} is below the ${min} minimum for ${line.excavationType}`);
+                } else if (number > max) {
+                    add(line.id, `${header} ${number} is above the ${max} maximum for ${line.excavationType}`);
+                }
+            });
+            
+            if (line.type === 'polygon') {
+                if (!(line.area > 0.01)) add(line.id, 'Area is zero');
+            } else if (!(line.distance > 0.001)) {
+                add(line.id, 'Length is zero');
+            } else if (line.distance < rules.minLength) {
+                add(line.id, `Length ${line.distance.toFixed(2)} m is below the ${rules.minLength} m minimum`);
+            }
+        });
+        
+        if (rules.checkOverlaps) {
+            this.findOverlappingLines().forEach(({ a, b, length, duplicate }) => {
+                const message = duplicate ? 'Duplicates' : `Overlaps ${length.toFixed(2)} m of`;
+                add(a.id, `${message} ${b.id}`);
+                add(b.id, `${message} ${a.id}`);
+            });
+        }
+        
+        return issues;
+    }
+    
+    // Pairs of lines that run along each other, with the shared length. Works in a local
+    // flat projection, which is plenty at the scale of a work order.
+    findOverlappingLines() {
+        const lines = this.lines.filter(line => line.type !== 'polygon' && line.points.length > 1);
+        if (lines.length < 2) return [];
+        
+        const origin = lines[0].points[0];
+        const R = 6371000;
+        const scale = Math.cos(origin.lat * Math.PI / 180);
+        const toXY = p => ({
+            x: (p.lng - origin.lng) * Math.PI / 180 * R * scale,
+            y: (p.lat - origin.lat) * Math.PI / 180 * R
+        });
+        const segments = lines.map(line => {
+            const points = line.points.map(toXY);
+            return points.slice(1).map((b, i) => ({ a: points[i], b }));
+        });
+        // Bounding boxes padded by the tolerance: lines whose boxes miss cannot overlap
+        const boxes = segments.map(list => list.reduce((box, { a, b }) => ({
+            minX: Math.min(box.minX, a.x, b.x), maxX: Math.max(box.maxX, a.x, b.x),
+            minY: Math.min(box.minY, a.y, b.y), maxY: Math.max(box.maxY, a.y, b.y)
+        }), { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }));
+        const boxesMeet = (p, q) => p.minX - OVERLAP_TOLERANCE <= q.maxX + OVERLAP_TOLERANCE &&
+            q.minX - OVERLAP_TOLERANCE <= p.maxX + OVERLAP_TOLERANCE &&
+            p.minY - OVERLAP_TOLERANCE <= q.maxY + OVERLAP_TOLERANCE &&
+            q.minY - OVERLAP_TOLERANCE <= p.maxY + OVERLAP_TOLERANCE;
+        
+        // Length of b lying within the tolerance of a
+        const sharedLength = (s, t) => {
+            const dx = s.b.x - s.a.x;
+            const dy = s.b.y - s.a.y;
+            const length = Math.hypot(dx, dy);
+            if (length === 0) return 0;
+            
+            const offset = p => Math.abs((p.x - s.a.x) * dy - (p.y - s.a.y) * dx) / length;
+            if (offset(t.a) > OVERLAP_TOLERANCE || offset(t.b) > OVERLAP_TOLERANCE) return 0;
+            
+            const along = p => ((p.x - s.a.x) * dx + (p.y - s.a.y) * dy) / length;
+            const from = Math.max(0, Math.min(along(t.a), along(t.b)));
+            const to = Math.min(length, Math.max(along(t.a), along(t.b)));
+            return Math.max(0, to - from);
+        };
+        
+        const overlaps = [];
+        for (let i = 0; i < lines.length; i++) {
+            for (let j = i + 1; j < lines.length; j++) {
+                if (!boxesMeet(boxes[i], boxes[j])) continue;
+                
+                let length = 0;
+                segments[i].forEach(s => segments[j].forEach(t => length += sharedLength(s, t)));
+                
+                if (length > OVERLAP_TOLERANCE) {
+                    const duplicate = length >= Math.max(lines[i].distance, lines[j].distance) - OVERLAP_TOLERANCE;
+                    overlaps.push({ a: lines[i], b: lines[j], length, duplicate });
+                }
+            }
+        }
+        
+        return overlaps;
+    }
+    
+    scheduleValidation() {
+        if (this.isRestoring) return;
+        
+        clearTimeout(this.validationTimer);
+        this.validationTimer = setTimeout(() => this.runValidation(), VALIDATION_DELAY);
+    }
+    
+    // Validates and marks offending rows and lines; returns the issues
+    runValidation() {
+        clearTimeout(this.validationTimer);
+        const issues = this.validateDrawing();
+        
+        const byLine = {};
+        issues.filter(issue => issue.lineId).forEach(issue => {
+            (byLine[issue.lineId] = byLine[issue.lineId] || []).push(issue.message);
+        });
+        
+        document.querySelectorAll('#linesTableBody tr').forEach(row => {
+            const messages = byLine[row.dataset.lineId];
+            row.classList.toggle('validation-error', !!messages);
+            row.title = messages ? messages.join('\n') : '';
+        });
+        
+        this.validationLayer.clearLayers();
+        this.lines.filter(line => byLine[line.id]).forEach(line => {
+            L.marker(line.points[0], {
+                icon: L.divIcon({ className: 'validation-marker', html: '!', iconSize: [18, 18] }),
+                zIndexOffset: 1000
+            }).bindTooltip(`${this.escapeXml(line.id)}: ${this.escapeXml(byLine[line.id].join('; '))}`, { direction: 'top' })
+                .on('click', () => this.selectLine(line))
+                .addTo(this.validationLayer);
+        });
+        
+        const status = document.getElementById('validationStatus');
+        const lineCount = Object.keys(byLine).length;
+        status.className = `validation-status ${issues.length ? 'has-issues' : 'ok'}`;
+        status.textContent = issues.length
+            ? `${issues.length} problem(s)${lineCount ? ` on ${lineCount} line(s)` : ''}`
+            : 'No problems found';
+        document.getElementById('validationList').innerHTML = issues
+            .map(issue => `<li>${issue.lineId ? `<strong>${this.escapeXml(issue.lineId)}</strong> ` : ''}${this.escapeXml(issue.message)}</li>`)
+            .join('');
+        
+        return issues;
+    }
+    
+    // Gate for saving and spreadsheet exports: warns or refuses depending on the rules
+    confirmValidation(action) {
+        const issues = this.runValidation();
+        if (issues.length === 0) return true;
+        
+        const shown = issues.slice(0, 10).map(issue => `• ${issue.lineId ? `${issue.lineId}: ` : ''}${issue.message}`);
+        if (issues.length > shown.length) shown.push(`… and ${issues.length - shown.length} more`);
+        const summary = `${issues.length} validation problem(s):\n\n${shown.join('\n')}`;
+        
+        if (this.validationRules.onFailure === 'block') {
+            alert(`Cannot ${action}. Fix these first.\n\n${summary}`);
+            return false;
+        }
+        return confirm(`${summary}\n\n${action.charAt(0).toUpperCase()}${action.slice(1)} anyway?`);
+    }
+    
+    getQuantitySummary() {
+        const groups = {};
+        const total = { length: 0, area: 0, volume: 0, cost: 0, count: 0 };
+        
+        this.lines.forEach(line => {
+            const key = `${line.roadType}|${line.excavationType}`;
+            if (!groups[key]) {
+                groups[key] = { roadType: line.roadType, excavationType: line.excavationType, length: 0, area: 0, volume: 0, cost: 0, count: 0 };
+            }
+            
+            const { area, volume, cost } = this.calculateQuantities(line);
+            [groups[key], total].forEach(bucket => {
+                // Polygon perimeters are not trench length
+                if (line.type !== 'polygon') bucket.length += line.distance;
+                bucket.area += area || 0;
+                bucket.volume += volume || 0;
+                bucket.cost += cost || 0;
+                bucket.count++;
+            });
+        });
+        
+        const roadTypes = this.getField('roadType').options;
+        const excavationTypes = this.getField('excavationType').options;
+        const sorted = Object.values(groups).sort((a, b) =>
+            roadTypes.indexOf(a.roadType) - roadTypes.indexOf(b.roadType) ||
+            excavationTypes.indexOf(a.excavationType) - excavationTypes.indexOf(b.excavationType));
+        
+        return { groups: sorted, total };
+    }
+    
+    updateQuantityTotals() {
+        const { groups, total } = this.getQuantitySummary();
+        
+        document.getElementById('linesTableFoot').innerHTML = `
+            <tr>
+                <td>Total</td>
+                <td>${total.length.toFixed(2)}</td>
+                <td colspan="${this.schema.length + 1}"></td>
+                <td>${total.area.toFixed(2)}</td>
+                <td>${total.volume.toFixed(2)}</td>
+                <td>${total.cost.toFixed(2)}</td>
+                <td></td>
+            </tr>
+        `;
+        
+        document.getElementById('quantitySummaryBody').innerHTML = groups.map(group => `
+            <tr>
+                <td>${this.escapeXml(group.roadType)}</td>
+                <td>${this.escapeXml(group.excavationType)}</td>
+                <td>${group.length.toFixed(2)}</td>
+                <td>${group.area.toFixed(2)}</td>
+                <td>${group.volume.toFixed(2)}</td>
+                <td>${group.cost.toFixed(2)}</td>
+            </tr>
+        `).join('');
+    }
+    
+    deleteLine(lineId) {
+        const index = this.lines.findIndex(l => l.id === lineId);
+        if (index === -1) return;
+        
+        const line = this.lines[index];
+        const data = this.serializeLine(line);
+        
+        // A line with other lines at both ends holds the network together: healing
+        // joins the lines at its end node onto its start node, splitting leaves a gap
+        const startNode = line.type !== 'polygon' ? line.start.nodeId : null;
+        const endNode = line.type !== 'polygon' ? line.end.nodeId : null;
+        const hasNeighbours = nodeId => nodeId && this.getNodeLines(nodeId).some(l => l.id !== lineId);
+        const heal = startNode !== endNode && hasNeighbours(startNode) && hasNeighbours(endNode) &&
+            confirm(`${lineId} connects to other lines at both ends.\n\nOK: heal the network by joining those lines at node ${startNode}.\nCancel: remove ${lineId} and leave the network split.`);
+        
+        const healed = heal ? this.getNodeLines(endNode).filter(l => l.id !== lineId) : [];
+        const before = healed.map(l => ({ id: l.id, points: this.copyPoints(l.points) }));
+        
+        this.removeLine(lineId);
+        if (heal) this.mergeNodes(endNode, startNode);
+        
+        const after = healed.map(l => ({ id: l.id, points: this.copyPoints(l.points) }));
+        
+        this.recordCommand({
+            label: heal ? `delete ${lineId} and heal the network` : `delete ${lineId}`,
+            undo: () => {
+                before.forEach(entry => this.setLinePoints(entry.id, entry.points));
+                this.createLineFromData(data, index);
+            },
+            redo: () => {
+                this.removeLine(lineId);
+                after.forEach(entry => this.setLinePoints(entry.id, entry.points));
+            }
+        });
+    }
+    
+    // Network topology. The endpoints of lines and routes carry a nodeId; endpoints
+    // sharing an id are one junction. Polygons are not part of the network.
+    getNodeLines(nodeId) {
+        return this.lines.filter(line => line.type !== 'polygon' &&
+            (line.start.nodeId === nodeId || line.end.nodeId === nodeId));
+    }
+    
+    findOrCreateNode(point, excludeLineId) {
+        for (const line of this.lines) {
+            if (line.type === 'polygon' || line.id === excludeLineId) continue;
+            for (const endpoint of [line.start, line.end]) {
+                if (endpoint.nodeId && this.calculateDistance(endpoint.lat, endpoint.lng, point.lat, point.lng) < NODE_TOLERANCE) {
+                    return endpoint.nodeId;
+                }
+            }
+        }
+        return `N${this.nodeCounter++}`;
+    }
+    
+    assignEndpointNodes(points, lineId) {
+        [0, points.length - 1].forEach(index => {
+            if (!points[index].nodeId) points[index].nodeId = this.findOrCreateNode(points[index], lineId);
+        });
+    }
+    
+    moveNode(nodeId, latlng) {
+        this.getNodeLines(nodeId).forEach(line => {
+            [0, line.points.length - 1].forEach(index => {
+                if (line.points[index].nodeId === nodeId) {
+                    line.points[index] = { lat: latlng.lat, lng: latlng.lng, nodeId: nodeId };
+                }
+            });
+            this.updateLineGeometry(line);
+        });
+    }
+    
+    // Re-points every endpoint of one node at another node's id and position
+    mergeNodes(fromNodeId, toNodeId) {
+        const target = this.getNodeLines(toNodeId)
+            .flatMap(line => [line.start, line.end])
+            .find(p => p.nodeId === toNodeId);
+        if (!target) return;
+        
+        this.getNodeLines(fromNodeId).forEach(line => {
+            [0, line.points.length - 1].forEach(index => {
+                if (line.points[index].nodeId === fromNodeId) {
+                    line.points[index] = { lat: target.lat, lng: target.lng, nodeId: toNodeId };
+                }
+            });
+            this.updateLineGeometry(line);
+        });
+    }
+    
+    // A node dropped onto another junction becomes part of it
+    joinNodeAtPosition(nodeId) {
+        const position = this.getNodeLines(nodeId)
+            .flatMap(line => [line.start, line.end])
+            .find(p => p.nodeId === nodeId);
+        if (!position) return;
+        
+        const other = this.lines
+            .filter(line => line.type !== 'polygon')
+            .flatMap(line => [line.start, line.end])
+            .find(p => p.nodeId && p.nodeId !== nodeId &&
+                this.calculateDistance(p.lat, p.lng, position.lat, position.lng) < NODE_TOLERANCE);
+        if (other) this.mergeNodes(nodeId, other.nodeId);
+    }
+    
+    // Gives every line endpoint a node: from the file's edge list when there is one,
+    // otherwise by joining endpoints that coincide (drawings saved before topology)
+    ensureTopology(edges = []) {
+        edges.forEach(edge => {
+            const line = this.lines.find(l => l.id === edge.line);
+            if (!line || line.type === 'polygon') return;
+            if (edge.from) line.points[0].nodeId = edge.from;
+            if (edge.to) line.points[line.points.length - 1].nodeId = edge.to;
+        });
+        
+        const networkLines = this.lines.filter(line => line.type !== 'polygon');
+        networkLines.forEach(line => [line.start, line.end].forEach(p => {
+            const number = p.nodeId ? parseInt(p.nodeId.slice(1), 10) : 0;
+            if (number >= this.nodeCounter) this.nodeCounter = number + 1;
+        }));
+        networkLines.forEach(line => this.assignEndpointNodes(line.points, line.id));
+    }
+    
+    getTopology() {
+        const nodes = {};
+        const edges = [];
+        
+        this.lines.filter(line => line.type !== 'polygon').forEach(line => {
+            [line.start, line.end].forEach(p => {
+                if (p.nodeId && !nodes[p.nodeId]) nodes[p.nodeId] = { id: p.nodeId, lat: p.lat, lng: p.lng };
+            });
+            edges.push({ line: line.id, from: line.start.nodeId, to: line.end.nodeId });
+        });
+        
+        return { nodes: Object.values(nodes), edges };
+    }
+    
+    removeLine(lineId) {
+        const line = this.lines.find(l => l.id === lineId);
+        if (!line) return;
+        
+        if (this.selectedLine && this.selectedLine.id === lineId) {
+            this.deselectLine();
+        }
+        
+        this.removeLineLayers(line);
+        
+        this.lines = this.lines.filter(l => l.id !== lineId);
+        
+        const row = document.querySelector(`tr[data-line-id="${CSS.escape(lineId)}"]`);
+        if (row) row.remove();
+        
+        this.updateQuantityTotals();
+        this.scheduleAutosave();
+        this.scheduleValidation();
+        this.renderWorkOrderList();
+        this.renderPhotoGallery();
+    }
+    
+    startGPSTracking() {
+        if (!navigator.geolocation) {
+            document.getElementById('gpsStatus').textContent = 'Not Supported';
+            return;
+        }
+        
+        document.getElementById('gpsStatus').textContent = 'Activating...';
+        
+        this.gpsWatchId = navigator.geolocation.watchPosition(
+            (position) => {
+                const { latitude, longitude, accuracy } = position.coords;
+                
+                this.currentGpsPosition = { lat: latitude, lng: longitude, accuracy: accuracy };
+                if (this.gpsCapture) {
+                    this.gpsCapture.samples.push({ lat: latitude, lng: longitude, accuracy: accuracy });
+                    this.updateAveragedCapture();
+                }
+                if (this.trace && this.trace.recording) {
+                    this.addTracePoint({ lat: latitude, lng: longitude, accuracy: accuracy, time: position.timestamp });
+                }
+                
+                const statusEl = document.getElementById('gpsStatus');
+                statusEl.textContent = 'Active';
+                statusEl.classList.add('status-active');
+                
+                document.getElementById('gpsAccuracyRow').style.display = 'flex';
+                document.getElementById('gpsAccuracy').textContent = `${accuracy.toFixed(1)} m`;
+                
+                if (!this.gpsMarker) {
+                    const icon = L.divIcon({
+                        className: 'gps-marker-container',
+                        html: `<div class="gps-marker"></div>
+                               <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); width: 60px; height: 60px; border-radius: 50%; background: rgba(16, 185, 129, 0.2); border: 2px solid rgba(16, 185, 129, 0.4);"></div>`,
+                        iconSize: [60, 60],
+                        iconAnchor: [30, 30]
+                    });
+                    
+                    this.gpsMarker = L.marker([latitude, longitude], { icon: icon, zIndexOffset: 1000 }).addTo(this.map);
+                } else {
+                    this.gpsMarker.setLatLng([latitude, longitude]);
+                }
+            },
+            (error) => {
+                console.error('GPS Error:', error);
+                document.getElementById('gpsStatus').textContent = 'Error';
+                alert('GPS Error: ' + error.message + '\nPlease enable location services and refresh the page.');
+            },
+            {
+                enableHighAccuracy: true,
+                maximumAge: 0,
+                timeout: 5000
+            }
+        );
+    }
+    
+    goToCurrentLocation() {
+        if (!this.currentGpsPosition) {
+            alert('GPS position not available yet. Please wait for GPS signal.');
+            return;
+        }
+        
+        this.map.setView([this.currentGpsPosition.lat, this.currentGpsPosition.lng], 18, {
+            animate: true,
+            duration: 1
+        });
+        
+        // Flash the GPS marker
+        if (this.gpsMarker) {
+            const originalIcon = this.gpsMarker.getIcon();
+            const flashIcon = L.divIcon({
+                className: 'gps-marker-container',
+                html: `<div class="gps-marker" style="background: #3b82f6;"></div>
+                       <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); width: 80px; height: 80px; border-radius: 50%; background: rgba(59, 130, 246, 0.3); border: 3px solid rgba(59, 130, 246, 0.6);"></div>`,
+                iconSize: [80, 80],
+                iconAnchor: [40, 40]
+            });
+            
+            this.gpsMarker.setIcon(flashIcon);
+            setTimeout(() => {
+                this.gpsMarker.setIcon(originalIcon);
+            }, 1000);
+        }
+    }
+    
+    loadGpsSettings() {
+        try {
+            this.gpsSettings = { ...DEFAULT_GPS_SETTINGS, ...JSON.parse(localStorage.getItem(GPS_SETTINGS_STORAGE_KEY)) };
+        } catch (error) {
+            console.error('Could not read GPS settings:', error);
+        }
+        
+        Object.keys(DEFAULT_GPS_SETTINGS).forEach(key => {
+            document.getElementById(`gps-${key}`).value = this.gpsSettings[key];
+        });
+    }
+    
+    saveGpsSettings() {
+        localStorage.setItem(GPS_SETTINGS_STORAGE_KEY, JSON.stringify(this.gpsSettings));
+    }
+    
+    // Collects fixes from the running watchPosition until the averaging time is
+    // up or the target accuracy is reached, then calls onDone with the averaged point
+    startAveragedCapture(label, onDone) {
+        if (this.gpsCapture) return;
+        
+        const { duration } = this.gpsSettings;
+        if (!duration) {
+            this.acceptAveragedPoint({ ...this.currentGpsPosition, samples: 1 }, onDone);
+            return;
+        }
+        
+        this.gpsCapture = {
+            label: label,
+            onDone: onDone,
+            samples: [{ ...this.currentGpsPosition }],
+            startedAt: Date.now()
+        };
+        this.gpsCapture.timer = setInterval(() => this.updateAveragedCapture(), 1000);
+        
+        document.getElementById('captureStartBtn').disabled = true;
+        document.getElementById('captureEndBtn').disabled = true;
+        document.getElementById('gpsCaptureProgress').style.display = 'block';
+        this.updateAveragedCapture();
+    }
+    
+    updateAveragedCapture() {
+        const capture = this.gpsCapture;
+        if (!capture) return;
+        
+        const { duration, targetAccuracy } = this.gpsSettings;
+        const elapsed = (Date.now() - capture.startedAt) / 1000;
+        const average = this.averageGpsSamples(capture.samples);
+        
+        const progress = document.getElementById('gpsCaptureProgress');
+        progress.querySelector('progress').max = duration;
+        progress.querySelector('progress').value = Math.min(elapsed, duration);
+        progress.querySelector('span').textContent =
+            `Averaging ${capture.label}: ${average.samples} fix(es), ±${average.accuracy.toFixed(1)} m, ${Math.max(0, Math.ceil(duration - elapsed))} s left`;
+        
+        const targetReached = average.samples >= MIN_GPS_SAMPLES && average.accuracy <= targetAccuracy;
+        if (targetReached || elapsed >= duration) {
+            this.finishAveragedCapture(average);
+        }
+    }
+    
+    finishAveragedCapture(average) {
+        const { onDone } = this.gpsCapture;
+        this.cancelAveragedCapture();
+        this.acceptAveragedPoint(average, onDone);
+    }
+    
+    cancelAveragedCapture() {
+        if (!this.gpsCapture) return;
+        
+        clearInterval(this.gpsCapture.timer);
+        this.gpsCapture = null;
+        
+        document.getElementById('captureStartBtn').disabled = false;
+        document.getElementById('captureEndBtn').disabled = false;
+        document.getElementById('gpsCaptureProgress').style.display = 'none';
+    }
+    
+    acceptAveragedPoint(point, onDone) {
+        const { maxAccuracy, onPoorAccuracy } = this.gpsSettings;
+        
+        if (point.accuracy > maxAccuracy) {
+            const message = `GPS accuracy is ±${point.accuracy.toFixed(1)} m, worse than the ${maxAccuracy} m limit.`;
+            if (onPoorAccuracy === 'refuse') {
+                alert(`${message}\nMove to open sky and capture again.`);
+                return;
+            }
+            if (!confirm(`${message}\n\nUse this point anyway?`)) return;
+        }
+        
+        onDone({
+            lat: point.lat,
+            lng: point.lng,
+            accuracy: Math.round(point.accuracy * 100) / 100,
+            samples: point.samples
+        });
+    }
+    
+    // Accuracy-weighted mean of the fixes after dropping outliers. The reported
+    // accuracy is the larger of the spread of the kept fixes and the weighted
+    // standard error, since consecutive GPS errors are far from independent.
+    averageGpsSamples(samples) {
+        const median = (values) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const mid = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        };
+        
+        const center = { lat: median(samples.map(s => s.lat)), lng: median(samples.map(s => s.lng)) };
+        const offsets = samples.map(s => this.calculateDistance(center.lat, center.lng, s.lat, s.lng));
+        const limit = Math.max(3 * median(offsets), 1);
+        const kept = samples.filter((s, i) => offsets[i] <= limit);
+        
+        let weightSum = 0, lat = 0, lng = 0;
+        kept.forEach(s => {
+            const weight = 1 / Math.pow(Math.max(s.accuracy, 0.1), 2);
+            weightSum += weight;
+            lat += s.lat * weight;
+            lng += s.lng * weight;
+        });
+        const mean = { lat: lat / weightSum, lng: lng / weightSum };
+        
+        const spread = Math.sqrt(kept.reduce((sum, s) => sum + Math.pow(this.calculateDistance(mean.lat, mean.lng, s.lat, s.lng), 2), 0) / kept.length);
+        
+        return {
+            lat: mean.lat,
+            lng: mean.lng,
+            accuracy: Math.max(spread, 1 / Math.sqrt(weightSum)),
+            samples: kept.length
+        };
+    }
+    
+    captureStartPoint() {
+        if (!this.currentGpsPosition) {
+            alert('GPS position not available. Please wait for GPS signal.');
+            return;
+        }
+        
+        this.startAveragedCapture('start point', point => this.setTempStartPoint(point));
+    }
+    
+    setTempStartPoint(point) {
+        if (this.tempStartPoint) this.tempStartPoint.marker.remove();
+        
+        this.tempStartPoint = point;
+        
+        this.tempStartPoint.marker = L.circleMarker(
+            [point.lat, point.lng],
+            {
+                radius: 6,
+                fillColor: '#3b82f6',
+                color: '#1e40af',
+                weight: 2,
+                opacity: 1,
+                fillOpacity: 0.8
+            }
+        ).addTo(this.linesLayer);
+        
+        this.captureState = 'waiting_for_end';
+        document.getElementById('captureEndBtn').style.display = 'block';
+    }
+    
+    captureEndPoint() {
+        if (!this.currentGpsPosition || !this.tempStartPoint) {
+            alert('GPS position or start point not available.');
+            return;
+        }
+        
+        this.startAveragedCapture('end point', endPoint => this.completeCapturedLine(endPoint));
+    }
+    
+    completeCapturedLine(endPoint) {
+        if (!this.tempStartPoint) return;
+        
+        this.createLine([this.tempStartPoint, endPoint]);
+        
+        this.tempStartPoint.marker.remove();
+        this.tempStartPoint = null;
+        
+        this.captureState = 'idle';
+        document.getElementById('captureEndBtn').style.display = 'none';
+    }
+    
+    // Walk-trace recording. Every fix is kept in `raw` for the GPX export; only
+    // fixes that pass the accuracy limit and have moved far enough become `points`.
+    startTrace() {
+        if (this.gpsWatchId === null) {
+            alert('GPS is not available, so a trace cannot be recorded.');
+            return;
+        }
+        if (this.trace && this.trace.recording) return;
+        
+        if (this.trace) this.trace.polyline.remove();
+        
+        this.trace = {
+            recording: true,
+            startedAt: Date.now(),
+            raw: [],
+            points: [],
+            polyline: L.polyline([], {
+                color: '#f59e0b',
+                weight: 4,
+                opacity: 0.9,
+                dashArray: '6, 6'
+            }).addTo(this.map)
+        };
+        
+        this.updateTraceStatus();
+    }
+    
+    addTracePoint(fix) {
+        const trace = this.trace;
+        trace.raw.push(fix);
+        
+        if (fix.accuracy > this.gpsSettings.maxAccuracy) {
+            this.updateTraceStatus();
+            return;
+        }
+        
+        // A move smaller than half the fix's accuracy is indistinguishable from jitter
+        const last = trace.points[trace.points.length - 1];
+        if (last && this.calculateDistance(last.lat, last.lng, fix.lat, fix.lng) < Math.max(TRACE_MIN_DISTANCE, fix.accuracy / 2)) {
+            this.updateTraceStatus();
+            return;
+        }
+        
+        trace.points.push(fix);
+        trace.polyline.addLatLng([fix.lat, fix.lng]);
+        this.updateTraceStatus();
+    }
+    
+    finishTrace() {
+        const trace = this.trace;
+        if (!trace || !trace.recording) return;
+        
+        trace.recording = false;
+        trace.polyline.remove();
+        
+        if (trace.points.length < 2) {
+            this.updateTraceStatus();
+            alert('The trace has fewer than two usable points, so no route was created. The raw track can still be exported as GPX.');
+            return;
+        }
+        
+        const simplified = this.simplifyPath(trace.points, TRACE_SIMPLIFY_TOLERANCE);
+        this.createLine(simplified.map(p => ({ lat: p.lat, lng: p.lng, accuracy: p.accuracy, samples: 1 })));
+        
+        trace.lineId = this.lines[this.lines.length - 1].id;
+        this.updateTraceStatus();
+    }
+    
+    discardTrace() {
+        if (!this.trace) return;
+        if (this.trace.recording && this.trace.points.length > 0 && !confirm('Discard the trace being recorded?')) return;
+        
+        this.trace.polyline.remove();
+        this.trace = null;
+        this.updateTraceStatus();
+    }
+    
+    updateTraceStatus() {
+        const trace = this.trace;
+        const recording = !!(trace && trace.recording);
+        
+        document.getElementById('recordTraceBtn').style.display = recording ? 'none' : 'flex';
+        document.getElementById('finishTraceBtn').style.display = recording ? 'flex' : 'none';
+        document.getElementById('discardTraceBtn').disabled = !trace;
+        document.getElementById('gpxBtn').disabled = !trace || trace.raw.length === 0;
+        
+        const status = document.getElementById('traceStatus');
+        if (!trace) {
+            status.textContent = 'No trace recorded';
+        } else {
+            const length = this.calculatePathLength(trace.points);
+            const summary = `${trace.points.length} of ${trace.raw.length} fix(es) kept, ${length.toFixed(1)} m`;
+            status.textContent = recording
+                ? `Recording: ${summary}`
+                : `Finished${trace.lineId ? ` as ${trace.lineId}` : ''}: ${summary}`;
+        }
+    }
+    
+    // Douglas–Peucker on a local equirectangular projection, tolerance in metres
+    simplifyPath(points, tolerance) {
+        if (points.length < 3) return points.slice();
+        
+        const origin = points[0];
+        const metersPerDegree = 111320;
+        const cosLat = Math.cos(origin.lat * Math.PI / 180);
+        const xy = points.map(p => ({
+            x: (p.lng - origin.lng) * metersPerDegree * cosLat,
+            y: (p.lat - origin.lat) * metersPerDegree
+        }));
+        
+        const keep = new Array(points.length).fill(false);
+        keep[0] = true;
+        keep[points.length - 1] = true;
+        
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const a = xy[first], b = xy[last];
+            const dx = b.x - a.x, dy = b.y - a.y;
+            const lengthSquared = dx * dx + dy * dy;
+            
+            let maxDistance = 0, index = -1;
+            for (let i = first + 1; i < last; i++) {
+                const p = xy[i];
+                let t = lengthSquared ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared : 0;
+                t = Math.max(0, Math.min(1, t));
+                const distance = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = i;
+                }
+            }
+            
+            if (maxDistance > tolerance) {
+                keep[index] = true;
+                stack.push([first, index], [index, last]);
+            }
+        }
+        
+        return points.filter((p, i) => keep[i]);
+    }
+    
+    exportTraceToGPX() {
+        if (!this.trace || this.trace.raw.length === 0) {
+            alert('There is no recorded trace to export.');
+            return;
+        }
+        
+        const name = this.trace.lineId || `Trace ${new Date(this.trace.startedAt).toLocaleString()}`;
+        const trackPoints = this.trace.raw.map(p => `      <trkpt lat="${p.lat.toFixed(7)}" lon="${p.lng.toFixed(7)}">
+        <time>${new Date(p.time).toISOString()}</time>
+        <extensions><md:accuracy>${p.accuracy.toFixed(1)}</md:accuracy></extensions>
+      </trkpt>`);
+        
+        const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GPS Map Drawing" xmlns="http://www.topografix.com/GPX/1/1" xmlns:md="${GPX_EXTENSIONS_NAMESPACE}">
+  <trk>
+    <name>${this.escapeXml(name)}</name>
+    <trkseg>
+${trackPoints.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>`;
+        
+        this.downloadFile(gpx, 'application/gpx+xml', `trace-${new Date(this.trace.startedAt).toISOString().split('T')[0]}.gpx`);
+    }
+    
+    saveDrawing() {
+        if (!this.confirmValidation('save the drawing')) return;
+        
+        const data = this.serializeDrawingFile();
+        
+        this.downloadFile(JSON.stringify(data, null, 2), 'application/json', `map-drawing-${new Date().toISOString().split('T')[0]}.json`);
+        
+        // The file holds only the open work order; the session counts as saved
+        // once every order has been saved to a file
+        this.getActiveWorkOrder().saved = true;
+        this.sessionSaved = this.workOrders.every(order => order.saved);
+        this.autosave();
+    }
+    
+    // The saved file: the drawing plus its format version and id counters
+    serializeDrawingFile() {
+        return {
+            format: DRAWING_FORMAT,
+            version: DRAWING_FORMAT_VERSION,
+            ...this.serializeDrawing(),
+            lineCounter: this.lineCounter,
+            polygonCounter: this.polygonCounter,
+            nodeCounter: this.nodeCounter,
+            photoCounter: this.photoCounter
+        };
+    }
+    
+    serializeDrawing() {
+        return {
+            workOrderNo: document.getElementById('workOrderNo').value,
+            workType: document.getElementById('workType').value,
+            schema: this.schema,
+            lines: this.lines.map(line => this.serializeLine(line)),
+            ...this.getTopology(),
+            photos: this.photos.map(photo => ({ ...photo })),
+            plans: this.plans.map(plan => ({ ...plan }))
+        };
+    }
+    
+    serializeLine(line) {
+        const points = this.copyPoints(line.points);
+        
+        const data = {
+            id: line.id,
+            type: line.type,
+            start: points[0],
+            end: points[points.length - 1],
+            points: points,
+            distance: line.distance,
+            area: line.area
+        };
+        this.schema.forEach(field => data[field.key] = line[field.key]);
+        
+        return data;
+    }
+    
+    copyPoints(points) {
+        return points.map(p => ({ ...p }));
+    }
+    
+    // Keeps the coordinates, the network node of an endpoint and the GPS averaging
+    // result for captured points. Dragged or clicked vertices carry no accuracy.
+    copyVertex(p) {
+        const vertex = { lat: p.lat, lng: p.lng };
+        if (p.nodeId) vertex.nodeId = p.nodeId;
+        if (p.accuracy !== undefined) {
+            vertex.accuracy = p.accuracy;
+            vertex.samples = p.samples;
+        }
+        return vertex;
+    }
+    
+    // Next free number for ids with the given prefix: 'A' for lines, 'S' for polygons
+    getNextLineNumber(prefix, ids = this.lines.map(line => line.id)) {
+        return ids
+            .filter(id => id.startsWith(prefix))
+            .reduce((max, id) => Math.max(max, parseInt(id.slice(1), 10) || 0), 0) + 1;
+    }
+    
+    // Restores one work order's snapshot, including counters and photos
+    applyDrawing(data) {
+        this.isRestoring = true;
+        
+        document.getElementById('workOrderNo').value = data.workOrderNo || '';
+        document.getElementById('workType').value = data.workType || '';
+        
+        this.batchLineChanges(() => {
+            this.clearDrawing();
+            (data.lines || []).forEach(lineData => this.createLineFromData(lineData));
+            // Snapshots written before imports advanced the counters can hold lower values
+            // than the ids they contain
+            this.lineCounter = Math.max(data.lineCounter || 1, this.getNextLineNumber('A'));
+            this.polygonCounter = Math.max(data.polygonCounter || 1, this.getNextLineNumber('S'));
+            this.nodeCounter = data.nodeCounter || 1;
+            this.ensureTopology(data.edges);
+            
+            this.setPhotos(data.photos || []);
+            this.photoCounter = data.photoCounter || this.getNextPhotoNumber();
+        });
+        this.setPlans(data.plans || []);
+        
+        this.isRestoring = false;
+        this.clearHistory();
+        // Validation is held back while restoring, so a reopened drawing is checked here
+        this.runValidation();
+    }
+    
+    // Undo/redo. Commands are { label, undo, redo } and address lines by id,
+    // because undoing a delete recreates the line object.
+    recordCommand(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+    
+    recordCreate(lineId) {
+        const data = this.serializeLine(this.lines.find(l => l.id === lineId));
+        
+        this.recordCommand({
+            label: `create ${lineId}`,
+            undo: () => this.removeLine(lineId),
+            redo: () => this.createLineFromData(data)
+        });
+    }
+    
+    // Runs a change that creates or removes many lines. The work order list and photo
+    // gallery count and list every line, so they are rendered once at the end rather
+    // than once per line.
+    batchLineChanges(change) {
+        this.batchingLines = true;
+        try {
+            change();
+        } finally {
+            this.batchingLines = false;
+        }
+        this.renderWorkOrderList();
+        this.renderPhotoGallery();
+    }
+    
+    // Wraps a change that replaces the whole drawing (file load, import)
+    recordBulkChange(label, change) {
+        const before = this.serializeDrawing();
+        this.batchLineChanges(change);
+        const after = this.serializeDrawing();
+        
+        this.recordCommand({
+            label: label,
+            undo: () => this.restoreDrawingState(before),
+            redo: () => this.restoreDrawingState(after)
+        });
+    }
+    
+    restoreDrawingState(state) {
+        document.getElementById('workOrderNo').value = state.workOrderNo;
+        document.getElementById('workType').value = state.workType;
+        this.batchLineChanges(() => {
+            this.clearDrawing();
+            state.lines.forEach(lineData => this.createLineFromData(lineData));
+            this.setPhotos(state.photos);
+        });
+        this.setPlans(state.plans || []);
+    }
+    
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+        
+        command.undo();
+        this.redoStack.push(command);
+        this.updateHistoryButtons();
+    }
+    
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+        
+        command.redo();
+        this.undoStack.push(command);
+        this.updateHistoryButtons();
+    }
+    
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+    
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+        
+        undoBtn.disabled = !lastUndo;
+        undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.disabled = !lastRedo;
+        redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+    
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        
+        // Text fields keep their native undo
+        const tag = e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && e.shiftKey || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        } else if (key === 'z') {
+            e.preventDefault();
+            this.undo();
+        }
+    }
+    
+    setLinePoints(lineId, points) {
+        const line = this.lines.find(l => l.id === lineId);
+        if (!line) return;
+        
+        line.points = this.copyPoints(points);
+        this.updateLineGeometry(line);
+    }
+    
+    setLineAttribute(lineId, field, value) {
+        const line = this.lines.find(l => l.id === lineId);
+        if (!line) return;
+        
+        line[field] = value;
+        const input = document.querySelector(`tr[data-line-id="${CSS.escape(lineId)}"] [data-field="${field}"]`);
+        if (input) this.writeFieldInput(input, value);
+        this.updateTableRow(line);
+    }
+    
+    // Work orders. The active order lives in this.lines/this.photos and the form;
+    // the others are kept as snapshots in this.workOrders.
+    createWorkOrderRecord(data = {}) {
+        const now = Date.now();
+        
+        return {
+            id: `wo-${now}-${Math.random().toString(36).slice(2, 7)}`,
+            workOrderNo: data.workOrderNo || '',
+            workType: data.workType || '',
+            lines: data.lines || [],
+            photos: data.photos || [],
+            plans: data.plans || [],
+            lineCounter: data.lineCounter || 1,
+            polygonCounter: data.polygonCounter || 1,
+            photoCounter: data.photoCounter || 1,
+            nodeCounter: data.nodeCounter || 1,
+            archived: false,
+            saved: false,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+    
+    getActiveWorkOrder() {
+        return this.workOrders.find(order => order.id === this.activeWorkOrderId);
+    }
+    
+    snapshotActiveWorkOrder() {
+        const order = this.getActiveWorkOrder();
+        if (!order) return;
+        
+        Object.assign(order, this.serializeDrawing(), {
+            lineCounter: this.lineCounter,
+            polygonCounter: this.polygonCounter,
+            photoCounter: this.photoCounter,
+            nodeCounter: this.nodeCounter
+        });
+    }
+    
+    serializeProject() {
+        this.snapshotActiveWorkOrder();
+        
+        return {
+            activeWorkOrderId: this.activeWorkOrderId,
+            workOrders: this.workOrders
+        };
+    }
+    
+    // Loads a session snapshot; sessions saved before work orders hold a single drawing
+    applyProject(data) {
+        this.workOrders = data.workOrders || [this.createWorkOrderRecord(data)];
+        
+        const order = this.workOrders.find(o => o.id === data.activeWorkOrderId) ||
+            this.workOrders.find(o => !o.archived) ||
+            this.workOrders[0];
+        this.activateWorkOrder(order);
+    }
+    
+    activateWorkOrder(order) {
+        this.activeWorkOrderId = order.id;
+        this.applyDrawing(order);
+        this.renderWorkOrderList();
+    }
+    
+    switchWorkOrder(id) {
+        if (id === this.activeWorkOrderId) return;
+        
+        this.snapshotActiveWorkOrder();
+        this.activateWorkOrder(this.workOrders.find(order => order.id === id));
+        this.scheduleAutosave();
+    }
+    
+    createWorkOrder() {
+        this.snapshotActiveWorkOrder();
+        
+        const order = this.createWorkOrderRecord();
+        this.workOrders.push(order);
+        this.activateWorkOrder(order);
+        this.scheduleAutosave();
+        document.getElementById('workOrderNo').focus();
+    }
+    
+    duplicateWorkOrder(id) {
+        this.snapshotActiveWorkOrder();
+        
+        const source = this.workOrders.find(order => order.id === id);
+        const copy = this.createWorkOrderRecord(JSON.parse(JSON.stringify(source)));
+        this.workOrders.push(copy);
+        this.activateWorkOrder(copy);
+        this.scheduleAutosave();
+    }
+    
+    toggleArchiveWorkOrder(id) {
+        const order = this.workOrders.find(o => o.id === id);
+        order.archived = !order.archived;
+        order.updatedAt = Date.now();
+        
+        // Archiving the open order moves on to the next open one
+        if (order.archived && id === this.activeWorkOrderId) {
+            this.snapshotActiveWorkOrder();
+            const next = this.workOrders.find(o => !o.archived);
+            if (next) {
+                this.activateWorkOrder(next);
+            } else {
+                const blank = this.createWorkOrderRecord();
+                this.workOrders.push(blank);
+                this.activateWorkOrder(blank);
+            }
+        }
+        
+        this.renderWorkOrderList();
+        this.scheduleAutosave();
+    }
+    
+    renderWorkOrderList() {
+        const list = document.getElementById('workOrderList');
+        const query = document.getElementById('workOrderSearch').value.trim().toLowerCase();
+        const showArchived = document.getElementById('showArchivedOrders').checked;
+        const active = this.getActiveWorkOrder();
+        
+        // The open order's form may be ahead of its snapshot
+        if (active) {
+            active.workOrderNo = document.getElementById('workOrderNo').value;
+            active.workType = document.getElementById('workType').value;
+        }
+        
+        const orders = this.workOrders
+            .filter(order => showArchived || !order.archived || order === active)
+            .filter(order => !query || `${order.workOrderNo} ${order.workType}`.toLowerCase().includes(query))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+        
+        list.innerHTML = '';
+        if (orders.length === 0) {
+            list.innerHTML = '<div class="empty-list">No matching work orders.</div>';
+        }
+        
+        orders.forEach(order => {
+            const lineCount = order === active ? this.lines.length : order.lines.length;
+            const item = document.createElement('div');
+            item.className = `work-order-item${order === active ? ' active' : ''}${order.archived ? ' archived' : ''}`;
+            item.innerHTML = `
+                <div class="session-title">${order.workOrderNo ? `Work Order ${this.escapeXml(order.workOrderNo)}` : 'New work order'}${order.archived ? ' · archived' : ''}</div>
+                <div class="session-meta">${order.workType ? `Type ${this.escapeXml(order.workType)} · ` : ''}${lineCount} line(s) · ${new Date(order.updatedAt).toLocaleDateString()}</div>
+            `;
+            item.addEventListener('click', () => this.switchWorkOrder(order.id));
+            list.appendChild(item);
+        });
+        
+        document.getElementById('archiveWorkOrderBtn').textContent = active && active.archived ? 'Unarchive' : 'Archive';
+    }
+    
+    // IndexedDB helpers
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('tileAreas')) {
+                    db.createObjectStore('tileAreas', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    dbRequest(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    async initAutosave() {
+        if (!window.indexedDB) {
+            this.setAutosaveStatus('Autosave unavailable');
+            return;
+        }
+        
+        try {
+            this.db = await this.openDatabase();
+        } catch (error) {
+            console.error('Autosave error:', error);
+            this.setAutosaveStatus('Autosave unavailable');
+            return;
+        }
+        
+        this.sessionId = `session-${Date.now()}`;
+        this.renderOfflineAreas();
+        
+        // Flush pending changes when the tab is hidden (back-swipe, app switch, shutdown)
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.autosave();
+        });
+        window.addEventListener('pagehide', () => this.autosave());
+        
+        const sessions = await this.getSessions();
+        const last = sessions[0];
+        if (last && !last.saved) {
+            const when = new Date(last.updatedAt).toLocaleString();
+            const label = last.workOrderNo ? `work order(s) ${last.workOrderNo}` : 'an untitled drawing';
+            if (confirm(`An unsaved session from ${when} (${label}, ${last.lineCount} line(s)) was found.\n\nRestore it?`)) {
+                this.openSession(last);
+            }
+        }
+    }
+    
+    async getSessions() {
+        const sessions = await this.dbRequest('sessions', 'readonly', store => store.getAll());
+        return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+    
+    scheduleAutosave() {
+        if (this.isRestoring) return;
+        
+        const order = this.getActiveWorkOrder();
+        if (order) {
+            order.updatedAt = Date.now();
+            order.saved = false;
+        }
+        
+        if (!this.db) return;
+        
+        this.sessionSaved = false;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), AUTOSAVE_DELAY);
+    }
+    
+    async autosave() {
+        if (!this.db || !this.sessionId) return;
+        clearTimeout(this.autosaveTimer);
+        
+        const data = this.serializeProject();
+        const orders = data.workOrders;
+        
+        // Don't litter the session list with blank sessions
+        const isEmpty = orders.length === 1 && orders[0].lines.length === 0 && orders[0].photos.length === 0 &&
+            !orders[0].workOrderNo && !orders[0].workType;
+        if (isEmpty && !this.sessionCreatedAt) return;
+        
+        const now = Date.now();
+        this.sessionCreatedAt = this.sessionCreatedAt || now;
+        
+        try {
+            await this.dbRequest('sessions', 'readwrite', store => store.put({
+                id: this.sessionId,
+                createdAt: this.sessionCreatedAt,
+                updatedAt: now,
+                saved: this.sessionSaved,
+                workOrderNo: orders.map(order => order.workOrderNo).filter(Boolean).join(', '),
+                workOrderCount: orders.length,
+                lineCount: orders.reduce((sum, order) => sum + order.lines.length, 0),
+                photoCount: orders.reduce((sum, order) => sum + order.photos.length, 0),
+                data: data
+            }));
+            this.setAutosaveStatus(`Autosaved ${new Date(now).toLocaleTimeString()}`);
+        } catch (error) {
+            console.error('Autosave error:', error);
+            this.setAutosaveStatus('Autosave failed');
+        }
+    }
+    
+    setAutosaveStatus(text) {
+        document.getElementById('autosaveStatus').textContent = text;
+    }
+    
+    openSession(session) {
+        this.sessionId = session.id;
+        this.sessionCreatedAt = session.createdAt;
+        this.sessionSaved = session.saved;
+        this.applyProject(session.data);
+    }
+    
+    async startNewSession() {
+        await this.autosave();
+        
+        this.sessionId = `session-${Date.now()}`;
+        this.sessionCreatedAt = null;
+        this.sessionSaved = false;
+        this.applyProject({});
+        this.closeSessions();
+    }
+    
+    async openSessions() {
+        if (!this.db) {
+            alert('Sessions are not available: browser storage is disabled.');
+            return;
+        }
+        
+        await this.autosave();
+        await this.renderSessionList();
+        document.getElementById('sessionsModal').classList.add('active');
+    }
+    
+    closeSessions() {
+        document.getElementById('sessionsModal').classList.remove('active');
+    }
+    
+    async renderSessionList() {
+        const sessions = await this.getSessions();
+        const list = document.getElementById('sessionList');
+        list.innerHTML = '';
+        
+        if (sessions.length === 0) {
+            list.innerHTML = '<div class="empty-list">No saved sessions yet.</div>';
+            return;
+        }
+        
+        sessions.forEach(session => {
+            const isCurrent = session.id === this.sessionId;
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            item.innerHTML = `
+                <div class="session-info">
+                    <div class="session-title">${session.workOrderNo ? `Work Orders ${this.escapeXml(session.workOrderNo)}` : 'Untitled drawing'}${isCurrent ? ' (current)' : ''}</div>
+                    <div class="session-meta">${new Date(session.updatedAt).toLocaleString()} · ${session.workOrderCount || 1} order(s) · ${session.lineCount} line(s) · ${session.photoCount} photo(s)${session.saved ? '' : ' · unsaved'}</div>
+                </div>
+                <button class="btn btn-primary" data-action="open" ${isCurrent ? 'disabled' : ''}>Open</button>
+                <button class="delete-btn" data-action="delete" ${isCurrent ? 'disabled' : ''}>Delete</button>
+            `;
+            
+            item.querySelector('[data-action="open"]').addEventListener('click', async () => {
+                await this.autosave();
+                this.openSession(session);
+                this.closeSessions();
+            });
+            
+            item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                if (!confirm('Delete this session? This cannot be undone.')) return;
+                await this.dbRequest('sessions', 'readwrite', store => store.delete(session.id));
+                await this.renderSessionList();
+            });
+            
+            list.appendChild(item);
+        });
+    }
+    
+    // Offline tiles
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        // A worker installed while another controls the page is a new deployment
+        const watchInstalling = (worker) => {
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(worker);
+                }
+            });
+        };
+        
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+            if (registration.installing) watchInstalling(registration.installing);
+            registration.addEventListener('updatefound', () => watchInstalling(registration.installing));
+        }).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+        
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.updateRequested || reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+    }
+    
+    showUpdatePrompt(worker) {
+        const banner = document.getElementById('updateBanner');
+        banner.classList.add('active');
+        
+        document.getElementById('updateReloadBtn').onclick = () => {
+            this.updateRequested = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        };
+        document.getElementById('updateDismissBtn').onclick = () => {
+            banner.classList.remove('active');
+        };
+    }
+    
+    setupNetworkStatus() {
+        const update = () => {
+            const statusEl = document.getElementById('networkStatus');
+            statusEl.textContent = navigator.onLine ? 'Online' : 'Offline';
+            statusEl.classList.toggle('status-active', navigator.onLine);
+            statusEl.classList.toggle('status-offline', !navigator.onLine);
+        };
+        
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        update();
+    }
+    
+    // Tile URLs covering the current view for the chosen layers and zoom range
+    getOfflineTileUrls(bounds, minZoom, maxZoom, layerNames) {
+        const urls = [];
+        const lngToX = (lng, z) => Math.floor((lng + 180) / 360 * Math.pow(2, z));
+        const latToY = (lat, z) => {
+            const rad = lat * Math.PI / 180;
+            return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, z));
+        };
+        
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const max = Math.pow(2, z) - 1;
+            const xMin = Math.max(0, lngToX(bounds.getWest(), z));
+            const xMax = Math.min(max, lngToX(bounds.getEast(), z));
+            const yMin = Math.max(0, latToY(bounds.getNorth(), z));
+            const yMax = Math.min(max, latToY(bounds.getSouth(), z));
+            
+            for (let x = xMin; x <= xMax; x++) {
+                for (let y = yMin; y <= yMax; y++) {
+                    layerNames.forEach(name => {
+                        urls.push(L.Util.template(this.layers[name]._url, { z, x, y, s: '', r: '' }));
+                    });
+                }
+            }
+        }
+        
+        return urls;
+    }
+    
+    async downloadOfflineArea() {
+        if (!window.caches || !this.db) {
+            alert('Offline maps need browser storage, which is not available here.');
+            return;
+        }
+        if (!this.offlineTilesAllowed) {
+            alert('The public map servers do not allow downloading areas for offline use. Open the app with ?tileServer= pointing at a licensed tile server.');
+            return;
+        }
+        if (this.tileDownload) return;
+        
+        const minZoom = parseInt(document.getElementById('offlineMinZoom').value, 10);
+        const maxZoom = parseInt(document.getElementById('offlineMaxZoom').value, 10);
+        const layerNames = ['street', 'satellite'].filter(name => document.getElementById(`offline-${name}`).checked);
+        
+        if (isNaN(minZoom) || isNaN(maxZoom) || minZoom > maxZoom || minZoom < 0 || maxZoom > 19) {
+            alert('Choose a zoom range between 0 and 19, with the minimum not above the maximum.');
+            return;
+        }
+        if (layerNames.length === 0) {
+            alert('Choose at least one layer to download.');
+            return;
+        }
+        
+        const bounds = this.map.getBounds();
+        const urls = this.getOfflineTileUrls(bounds, minZoom, maxZoom, layerNames);
+        if (urls.length > MAX_OFFLINE_TILES) {
+            alert(`This area needs ${urls.length} tiles; the limit is ${MAX_OFFLINE_TILES}. Zoom in or lower the maximum zoom.`);
+            return;
+        }
+        
+        const download = { cancelled: false, done: 0, failed: 0, bytes: 0, total: urls.length };
+        this.tileDownload = download;
+        this.updateOfflineProgress();
+        
+        try {
+            const cache = await caches.open(TILE_CACHE);
+            
+            // Only CORS responses are cached: an opaque one hides its status and size,
+            // and browsers pad each against the storage quota
+            const fetchTile = async (url) => {
+                const response = await fetch(url, { mode: 'cors' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                
+                const blob = await response.clone().blob();
+                await cache.put(url, response);
+                return blob.size;
+            };
+            
+            let next = 0;
+            const worker = async () => {
+                while (next < urls.length && !download.cancelled) {
+                    const url = urls[next++];
+                    try {
+                        const size = await fetchTile(url);
+                        download.bytes += size;
+                    } catch (error) {
+                        download.failed++;
+                    }
+                    download.done++;
+                    this.updateOfflineProgress();
+                }
+            };
+            await Promise.all(Array.from({ length: TILE_DOWNLOAD_CONCURRENCY }, worker));
+        } catch (error) {
+            alert('Could not open the offline tile cache: ' + error.message);
+            return;
+        } finally {
+            this.tileDownload = null;
+            this.updateOfflineProgress();
+        }
+        
+        if (download.cancelled) {
+            alert('Download cancelled. Tiles fetched so far stay cached for this area.');
+        }
+        
+        const center = bounds.getCenter();
+        try {
+            await this.dbRequest('tileAreas', 'readwrite', store => store.put({
+                id: `area-${Date.now()}`,
+                name: `${center.lat.toFixed(4)}, ${center.lng.toFixed(4)}`,
+                bounds: [bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()],
+                minZoom: minZoom,
+                maxZoom: maxZoom,
+                layers: layerNames,
+                urls: urls.slice(0, download.done),
+                bytes: download.bytes,
+                createdAt: Date.now()
+            }));
+            await this.renderOfflineAreas();
+        } catch (error) {
+            alert('The tiles were downloaded but the offline area could not be saved: ' + error.message);
+            return;
+        }
+        
+        if (!download.cancelled && download.failed > 0) {
+            alert(`${download.failed} of ${download.total} tiles could not be downloaded. Tile servers that do not allow cross-origin requests cannot be saved for offline use.`);
+        }
+    }
+    
+    cancelOfflineDownload() {
+        if (this.tileDownload) this.tileDownload.cancelled = true;
+    }
+    
+    updateOfflineProgress() {
+        const download = this.tileDownload;
+        const progress = document.getElementById('offlineProgress');
+        
+        document.getElementById('downloadTilesBtn').disabled = !!download;
+        document.getElementById('cancelTilesBtn').style.display = download ? 'block' : 'none';
+        progress.style.display = download ? 'block' : 'none';
+        
+        if (download) {
+            progress.querySelector('progress').max = download.total;
+            progress.querySelector('progress').value = download.done;
+            progress.querySelector('span').textContent = `${download.done} / ${download.total} tiles · ${this.formatBytes(download.bytes)}`;
+        }
+    }
+    
+    async renderOfflineAreas() {
+        if (!this.db) return;
+        
+        const areas = (await this.dbRequest('tileAreas', 'readonly', store => store.getAll()))
+            .sort((a, b) => b.createdAt - a.createdAt);
+        const list = document.getElementById('offlineAreaList');
+        const totalBytes = areas.reduce((sum, area) => sum + area.bytes, 0);
+        
+        let usage = '';
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            usage = ` · storage used ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)}`;
+        }
+        document.getElementById('offlineCacheSize').textContent = `${areas.length} area(s), ${this.formatBytes(totalBytes)}${usage}`;
+        
+        list.innerHTML = '';
+        areas.forEach(area => {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            item.innerHTML = `
+                <div class="session-info">
+                    <div class="session-title">${this.escapeXml(area.name)}</div>
+                    <div class="session-meta">${new Date(area.createdAt).toLocaleDateString()} · zoom ${area.minZoom}–${area.maxZoom} · ${this.escapeXml(area.layers.join(', '))} · ${area.urls.length} tiles · ${this.formatBytes(area.bytes)}</div>
+                </div>
+                <button class="btn" data-action="show">Show</button>
+                <button class="delete-btn" data-action="purge">Purge</button>
+            `;
+            
+            item.querySelector('[data-action="show"]').addEventListener('click', () => {
+                const [south, west, north, east] = area.bounds;
+                this.map.fitBounds([[south, west], [north, east]]);
+            });
+            item.querySelector('[data-action="purge"]').addEventListener('click', () => this.purgeOfflineArea(area.id));
+            
+            list.appendChild(item);
+        });
+    }
+    
+    async purgeOfflineArea(areaId) {
+        if (!confirm('Remove this offline area from the device?')) return;
+        
+        const areas = await this.dbRequest('tileAreas', 'readonly', store => store.getAll());
+        const area = areas.find(a => a.id === areaId);
+        
+        // Overlapping areas share tiles; keep the ones another area still needs
+        const stillUsed = new Set();
+        areas.filter(a => a.id !== areaId).forEach(a => a.urls.forEach(url => stillUsed.add(url)));
+        
+        const cache = await caches.open(TILE_CACHE);
+        await Promise.all(area.urls.filter(url => !stillUsed.has(url)).map(url => cache.delete(url)));
+        await this.dbRequest('tileAreas', 'readwrite', store => store.delete(areaId));
+        await this.renderOfflineAreas();
+    }
+    
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+    }
+    
+    downloadFile(content, type, filename) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    loadDrawing(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            let result;
+            try {
+                const text = event.target.result;
+                
+                if (/\.(csv|txt)$/i.test(file.name)) {
+                    this.openCsvImport(file.name, new Uint8Array(event.target.result));
+                    return;
+                }
+                if (/\.kml$/i.test(file.name)) {
+                    result = this.parseKML(text);
+                } else {
+                    const data = JSON.parse(text);
+                    result = data.type === 'FeatureCollection' || data.type === 'Feature'
+                        ? this.parseGeoJSON(data)
+                        : this.readDrawingFile(data);
+                }
+            } catch (error) {
+                alert(`Error loading file. Please check the file format.\n\n${error.message}`);
+                console.error(error);
+                return;
+            }
+            
+            this.openImportDialog(file.name, result);
+        };
+        // CSV files are decoded later, once their encoding is known
+        if (/\.(csv|txt)$/i.test(file.name)) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
+    }
+    
+    // Version of a parsed drawing file, or null when it is not one
+    getDrawingVersion(data) {
+        if (Array.isArray(data)) return 0;
+        if (!data || typeof data !== 'object') return null;
+        if (data.format === DRAWING_FORMAT) return data.version;
+        return Array.isArray(data.lines) ? 1 : null;
+    }
+    
+    // Migrates a native drawing file and checks every line. Returns the same shape as
+    // parseGeoJSON plus the version read, warnings and the file's photos, plans and topology.
+    readDrawingFile(data) {
+        const version = this.getDrawingVersion(data);
+        if (version === null || !Number.isInteger(version)) {
+            throw new Error('This is not a drawing file: no list of lines was found.');
+        }
+        if (version > DRAWING_FORMAT_VERSION) {
+            throw new Error(`The file was saved by a newer version of the app (format ${version}). Update the app to open it.`);
+        }
+        
+        let migrated = data;
+        for (let step = version; step < DRAWING_FORMAT_VERSION; step++) {
+            migrated = DRAWING_MIGRATIONS[step](migrated);
+        }
+        if (!Array.isArray(migrated.lines)) {
+            throw new Error(`The drawing file (format ${version}) has no list of lines.`);
+        }
+        
+        const text = value => typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+        const result = {
+            lines: [],
+            errors: [],
+            warnings: [],
+            version: version,
+            workOrderNo: text(migrated.workOrderNo),
+            workType: text(migrated.workType),
+            schema: Array.isArray(migrated.schema) ? migrated.schema : null,
+            edges: Array.isArray(migrated.edges) ? migrated.edges.filter(edge => edge && typeof edge.line === 'string') : [],
+            photos: null,
+            plans: null,
+            lineCounter: Number.isInteger(migrated.lineCounter) ? migrated.lineCounter : 1,
+            polygonCounter: Number.isInteger(migrated.polygonCounter) ? migrated.polygonCounter : 1
+        };
+        
+        // Values of fields the file defines but this drawing does not yet have must survive
+        // validation; applyLoadedDrawing adds those fields to the schema afterwards.
+        if (result.schema) {
+            const extra = this.normalizeSchema(result.schema).fields.filter(field => !this.getField(field.key));
+            result.fields = [...this.schema, ...extra];
+        }
+        
+        migrated.lines.forEach((lineData, index) => this.validateLineData(lineData, index, result));
+        
+        if (Array.isArray(migrated.photos)) {
+            result.photos = migrated.photos.filter((photo, index) => {
+                const label = photo && photo.id ? `Photo ${photo.id}` : `Photo ${index + 1}`;
+                const hasImage = photo && typeof photo.id === 'string' && typeof photo.dataUrl === 'string' && photo.dataUrl.startsWith('data:image/');
+                if (!hasImage) {
+                    // The JSON inside a ZIP export references its photos as separate files
+                    result.warnings.push(`${label}: has no image data and was skipped.${photo && photo.file ? ` Its picture is ${photo.file} in the ZIP export.` : ''}`);
+                    return false;
+                }
+                if (!photo.gps || !Number.isFinite(photo.gps.lat) || !Number.isFinite(photo.gps.lng)) {
+                    result.warnings.push(`${label}: has no valid GPS position and was skipped.`);
+                    return false;
+                }
+                if (photo.lineId !== undefined && photo.lineId !== null && typeof photo.lineId !== 'string') {
+                    result.warnings.push(`${label}: has an invalid line link and was skipped.`);
+                    return false;
+                }
+                return true;
+            });
+        }
+        if (Array.isArray(migrated.plans)) {
+            const isImagePlan = plan => plan.kind === 'image' && Array.isArray(plan.transform) &&
+                typeof plan.dataUrl === 'string' && Number.isFinite(plan.width) && Number.isFinite(plan.height) &&
+                Number.isFinite(plan.rms) && Array.isArray(plan.controlPoints);
+            const isDxfPlan = plan => plan.kind === 'dxf' && Array.isArray(plan.paths) &&
+                Object.prototype.hasOwnProperty.call(PROJECTED_CRS, plan.crs);
+            result.plans = migrated.plans.filter(plan => plan && typeof plan.id === 'string' &&
+                (isImagePlan(plan) || isDxfPlan(plan)));
+            if (result.plans.length < migrated.plans.length) {
+                result.warnings.push(`${migrated.plans.length - result.plans.length} background plan(s) are damaged and were skipped.`);
+            }
+        }
+        
+        return result;
+    }
+    
+    // Checks one stored line and adds either a clean copy to result.lines or an error
+    // naming the line and the offending property. Lengths are always recomputed; a missing
+    // one is only reported when result.lengthOptional is not set (CSV rows carry none).
+    validateLineData(lineData, index, result, label = `Line ${index + 1}${lineData && (typeof lineData.id === 'string' || typeof lineData.id === 'number') ? ` (${lineData.id})` : ''}`) {
+        if (!lineData || typeof lineData !== 'object' || Array.isArray(lineData)) {
+            result.errors.push(`${label}: is not a line object.`);
+            return;
+        }
+        
+        const type = lineData.type === undefined ? 'line' : lineData.type;
+        if (type !== 'line' && type !== 'polygon') {
+            result.errors.push(`${label}: unknown type "${type}".`);
+            return;
+        }
+        
+        const hasPoints = Array.isArray(lineData.points);
+        const source = hasPoints ? lineData.points : [lineData.start, lineData.end];
+        const name = i => hasPoints ? `points[${i}]` : ['start', 'end'][i];
+        const number = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+        
+        const points = [];
+        for (let i = 0; i < source.length; i++) {
+            const p = source[i];
+            if (!p || typeof p !== 'object') {
+                result.errors.push(`${label}: ${name(i)} is missing.`);
+                return;
+            }
+            
+            const lat = number(p.lat);
+            const lng = number(p.lng);
+            if (!isFinite(lat) || Math.abs(lat) > 90) {
+                result.errors.push(`${label}: ${name(i)}.lat is not a valid latitude (${JSON.stringify(p.lat)}).`);
+                return;
+            }
+            if (!isFinite(lng) || Math.abs(lng) > 180) {
+                result.errors.push(`${label}: ${name(i)}.lng is not a valid longitude (${JSON.stringify(p.lng)}).`);
+                return;
+            }
+            
+            const vertex = this.copyVertex({ ...p, lat, lng });
+            if (vertex.nodeId !== undefined) vertex.nodeId = String(vertex.nodeId);
+            points.push(vertex);
+        }
+        
+        if (type === 'polygon' && points.length < 3) {
+            result.errors.push(`${label}: a polygon needs at least three points, found ${points.length}.`);
+            return;
+        }
+        if (points.length < 2) {
+            result.errors.push(`${label}: a line needs at least two points, found ${points.length}.`);
+            return;
+        }
+        
+        const clean = {
+            id: typeof lineData.id === 'string' || typeof lineData.id === 'number' ? String(lineData.id) : '',
+            type: type,
+            points: points
+        };
+        (result.fields || this.schema).forEach(field => clean[field.key] = lineData[field.key]);
+        
+        if (type === 'line') {
+            clean.distance = this.calculatePathLength(points);
+            const stored = number(lineData.distance);
+            if (!isFinite(stored)) {
+                if (!result.lengthOptional) {
+                    result.warnings.push(`${label}: length was missing and has been measured (${clean.distance.toFixed(2)} m).`);
+                }
+            } else if (Math.abs(stored - clean.distance) > 0.01) {
+                result.warnings.push(`${label}: stored length ${stored.toFixed(2)} m differs from the coordinates; using ${clean.distance.toFixed(2)} m.`);
+            }
+        }
+        
+        result.lines.push(clean);
+    }
+    
+    // Shows what a file contains and whether to replace or add to the current drawing
+    openImportDialog(name, result) {
+        if (result.lines.length === 0) {
+            alert(['No importable lines found.', ...result.errors, ...(result.warnings || [])].join('\n'));
+            return;
+        }
+        
+        this.pendingImport = { name, ...result };
+        
+        const polygons = result.lines.filter(line => line.type === 'polygon').length;
+        const upgraded = result.version !== undefined && result.version < DRAWING_FORMAT_VERSION;
+        document.getElementById('importSummary').textContent =
+            `${name}: ${result.lines.length - polygons} line(s)${polygons ? `, ${polygons} polygon(s)` : ''}` +
+            `${result.photos && result.photos.length ? `, ${result.photos.length} photo(s)` : ''}` +
+            `${upgraded ? ` — upgraded from format version ${result.version}` : ''}.`;
+        
+        document.getElementById('importIssues').innerHTML = [
+            ...result.errors.map(message => `<li class="error">Skipped — ${this.escapeXml(message)}</li>`),
+            ...(result.warnings || []).map(message => `<li class="warning">${this.escapeXml(message)}</li>`)
+        ].join('');
+        
+        const empty = this.lines.length === 0;
+        document.getElementById('importModeMerge').disabled = empty;
+        document.getElementById('importModeReplace').checked = true;
+        document.getElementById('importModeLabel').textContent = empty
+            ? 'The current drawing is empty.'
+            : `The current drawing has ${this.lines.length} line(s).`;
+        
+        document.getElementById('importModal').classList.add('active');
+    }
+    
+    confirmImport() {
+        const mode = document.querySelector('input[name="importMode"]:checked').value;
+        const result = this.pendingImport;
+        this.closeImportDialog();
+        this.applyLoadedDrawing(result, mode);
+    }
+    
+    closeImportDialog() {
+        this.pendingImport = null;
+        document.getElementById('importModal').classList.remove('active');
+    }
+    
+    // Loads validated lines (and, for native files, photos, plans and topology) either in
+    // place of the drawing or next to it. Ids continue after every id already in use and
+    // colliding ids are renumbered; when merging, the file's network nodes get fresh ids.
+    applyLoadedDrawing(result, mode) {
+        const merging = mode === 'merge';
+        
+        // Fields from another client's drawing are added so none of its values are lost
+        if (result.schema) this.mergeSchemaFields(result.schema);
+        
+        this.recordBulkChange(`${merging ? 'merge' : 'load'} ${result.name}`, () => {
+            if (!merging) this.clearDrawing();
+            
+            ['workOrderNo', 'workType'].forEach(key => {
+                const input = document.getElementById(key);
+                if (result[key] && (!merging || !input.value)) input.value = result[key];
+            });
+            
+            const usedIds = new Set(this.lines.map(line => line.id));
+            const ids = [...usedIds, ...result.lines.map(line => line.id)];
+            this.lineCounter = Math.max(this.lineCounter, result.lineCounter || 1, this.getNextLineNumber('A', ids));
+            this.polygonCounter = Math.max(this.polygonCounter, result.polygonCounter || 1, this.getNextLineNumber('S', ids));
+            
+            const renamed = {};
+            const nodeIds = {};
+            const loadedIds = new Set();
+            result.lines.forEach(lineData => {
+                const original = lineData.id;
+                if (!lineData.id || usedIds.has(lineData.id)) {
+                    lineData.id = lineData.type === 'polygon' ? `S${this.polygonCounter++}` : `A${this.lineCounter++}`;
+                    if (original && !(original in renamed)) renamed[original] = lineData.id;
+                }
+                usedIds.add(lineData.id);
+                loadedIds.add(lineData.id);
+                
+                if (merging) {
+                    lineData.points.forEach(p => {
+                        if (p.nodeId) p.nodeId = nodeIds[p.nodeId] || (nodeIds[p.nodeId] = `N${this.nodeCounter++}`);
+                    });
+                }
+                lineData.distance = this.calculatePathLength(lineData.points);
+                this.createLineFromData(lineData);
+            });
+            
+            const edges = (result.edges || [])
+                .map(edge => ({
+                    line: renamed[edge.line] || edge.line,
+                    from: merging && edge.from ? nodeIds[edge.from] : edge.from,
+                    to: merging && edge.to ? nodeIds[edge.to] : edge.to
+                }))
+                .filter(edge => loadedIds.has(edge.line));
+            this.ensureTopology(edges);
+            
+            if (result.photos) {
+                const existing = merging ? this.photos : [];
+                this.photoCounter = merging ? Math.max(this.photoCounter, this.getNextPhotoNumber()) : 1;
+                const photos = result.photos.map(photo => {
+                    const copy = { ...photo, lineId: photo.lineId ? (renamed[photo.lineId] || photo.lineId) : null };
+                    if (existing.some(p => p.id === copy.id)) copy.id = `P${this.photoCounter++}`;
+                    return copy;
+                });
+                this.setPhotos([...existing, ...photos]);
+                this.photoCounter = Math.max(this.photoCounter, this.getNextPhotoNumber());
+            }
+            if (result.plans) {
+                const existing = merging ? this.plans : [];
+                this.setPlans([...existing, ...result.plans.filter(plan => !existing.some(p => p.id === plan.id))]);
+            }
+        });
+    }
+    
+    // CSV import: pick encoding, delimiter and column mapping in a dialog with a live
+    // preview, then hand the rows to the same replace/merge dialog as other files
+    openCsvImport(name, bytes) {
+        this.csvImport = { name, bytes, rows: [], mapping: {}, coordinates: GEOGRAPHIC_CRS };
+        document.getElementById('csvEncoding').value = this.detectEncoding(bytes);
+        document.getElementById('csvHeaderRow').checked = true;
+        this.parseCsvImport(true);
+        document.getElementById('csvModal').classList.add('active');
+    }
+    
+    closeCsvImport() {
+        this.csvImport = null;
+        document.getElementById('csvModal').classList.remove('active');
+    }
+    
+    // A byte order mark decides; otherwise UTF-8 if the bytes are valid UTF-8
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return 'utf-8';
+        } catch (error) {
+            return 'windows-1256';
+        }
+    }
+    
+    // The candidate that splits the first lines into the same number of columns, most columns first
+    detectDelimiter(text) {
+        const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+        let best = ',';
+        let bestColumns = 1;
+        
+        Object.keys(CSV_DELIMITERS).forEach(delimiter => {
+            const counts = sample.map(line => this.parseCsv(line, delimiter)[0].length);
+            if (counts.length && counts.every(count => count === counts[0]) && counts[0] > bestColumns) {
+                best = delimiter;
+                bestColumns = counts[0];
+            }
+        });
+        
+        return best;
+    }
+    
+    // RFC 4180: quoted cells may hold delimiters, doubled quotes and line breaks
+    parseCsv(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+    
+    parseCsvImport(detectDelimiter) {
+        const csv = this.csvImport;
+        const encoding = document.getElementById('csvEncoding').value;
+        const text = new TextDecoder(encoding).decode(csv.bytes);
+        
+        if (detectDelimiter) document.getElementById('csvDelimiter').value = this.detectDelimiter(text);
+        csv.delimiter = document.getElementById('csvDelimiter').value;
+        csv.headerRow = document.getElementById('csvHeaderRow').checked;
+        csv.rows = this.parseCsv(text, csv.delimiter);
+        
+        const width = csv.rows.reduce((max, row) => Math.max(max, row.length), 0);
+        csv.headers = Array.from({ length: width }, (_, i) =>
+            csv.headerRow && csv.rows[0] && csv.rows[0][i] ? csv.rows[0][i].trim() : `Column ${i + 1}`);
+        
+        csv.coordinates = this.guessCsvCoordinates();
+        document.getElementById('csvCoordinates').value = csv.coordinates;
+        csv.mapping = this.guessCsvMapping();
+        this.renderCsvMapping();
+    }
+    
+    // Columns the rows can be mapped to; coordinate targets follow the chosen system
+    getCsvTargets() {
+        const projected = this.csvImport.coordinates !== GEOGRAPHIC_CRS;
+        const [x, y] = projected ? ['easting', 'northing'] : ['latitude', 'longitude'];
+        const [xAliases, yAliases] = projected
+            ? [['e', 'easting', 'x'], ['n', 'northing', 'y']]
+            : [['lat', 'latitude'], ['lng', 'lon', 'long', 'longitude']];
+        const aliases = (prefix, names) => names.flatMap(name => [`${prefix}${name}`, `${name}${prefix === 'start' ? 1 : 2}`]);
+        
+        return [
+            { key: 'id', label: 'Line id', aliases: ['line', 'id', 'lineid', 'الخط'] },
+            { key: 'shape', label: 'Shape', aliases: ['shape', 'type', 'الشكل'] },
+            { key: 'startX', label: `Start ${x}`, aliases: aliases('start', xAliases) },
+            { key: 'startY', label: `Start ${y}`, aliases: aliases('start', yAliases) },
+            { key: 'endX', label: `End ${x}`, aliases: aliases('end', xAliases) },
+            { key: 'endY', label: `End ${y}`, aliases: aliases('end', yAliases) },
+            { key: 'path', label: `Path (${projected ? 'E N' : 'lat lng'}; …), optional`, aliases: [projected ? 'pathen' : 'pathlatlng', 'path', 'المسار'] },
+            { key: 'workOrderNo', label: 'Work order no', aliases: ['workorderno', 'workorder', 'رقمأمرالعمل'] },
+            { key: 'workType', label: 'Work type', aliases: ['worktype', 'نوعالعمل'] },
+            ...this.schema.map(field => ({
+                key: `field:${field.key}`,
+                label: this.getFieldHeader(field),
+                aliases: [field.key, field.label, this.getFieldHeader(field), field.arabic || '']
+            }))
+        ];
+    }
+    
+    normalizeCsvHeader(header) {
+        return header.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    }
+    
+    // Lat/lng columns win when a file has both kinds, unless its route column is in
+    // easting/northing, as in our own export in a projected system
+    guessCsvCoordinates() {
+        const csv = this.csvImport;
+        const headers = csv.headers.map(header => this.normalizeCsvHeader(header));
+        if (!headers.some(header => ['starte', 'starteasting', 'e1', 'easting1', 'x1'].includes(header))) return GEOGRAPHIC_CRS;
+        if (!headers.includes('pathen') &&
+            headers.some(header => ['startlat', 'startlatitude', 'lat1', 'latitude1'].includes(header))) return GEOGRAPHIC_CRS;
+        
+        const crsColumn = headers.indexOf('crs');
+        const firstRow = csv.rows[csv.headerRow ? 1 : 0] || [];
+        const code = crsColumn >= 0 ? (firstRow[crsColumn] || '').trim() : '';
+        if (PROJECTED_CRS[code]) return code;
+        return this.outputCrs !== GEOGRAPHIC_CRS ? this.outputCrs : Object.keys(PROJECTED_CRS)[0];
+    }
+    
+    guessCsvMapping() {
+        const headers = this.csvImport.headers.map(header => this.normalizeCsvHeader(header));
+        const mapping = {};
+        
+        this.getCsvTargets().forEach(target => {
+            const aliases = target.aliases.map(alias => this.normalizeCsvHeader(alias)).filter(Boolean);
+            mapping[target.key] = this.csvImport.headerRow ? headers.findIndex(header => aliases.includes(header)) : -1;
+        });
+        
+        return mapping;
+    }
+    
+    renderCsvMapping() {
+        const csv = this.csvImport;
+        const container = document.getElementById('csvMapping');
+        container.innerHTML = '';
+        
+        this.getCsvTargets().forEach(target => {
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.innerHTML = `
+                ${this.escapeXml(target.label)}
+                <select class="form-input">
+                    <option value="-1">—</option>
+                    ${csv.headers.map((header, i) => `<option value="${i}" ${csv.mapping[target.key] === i ? 'selected' : ''}>${this.escapeXml(header)}</option>`).join('')}
+                </select>
+            `;
+            label.querySelector('select').addEventListener('change', (e) => {
+                csv.mapping[target.key] = parseInt(e.target.value, 10);
+                this.updateCsvPreview();
+            });
+            container.appendChild(label);
+        });
+        
+        this.updateCsvPreview();
+    }
+    
+    // Turns the data rows into line data, one record per row with its problems. Rows after
+    // the first blank line are ignored: that is where exportToCSV writes the totals.
+    readCsvRows() {
+        const csv = this.csvImport;
+        const result = { lines: [], errors: [], warnings: [], workOrderNo: '', workType: '', records: [] };
+        const firstRow = csv.headerRow ? 1 : 0;
+        const blank = csv.rows.findIndex((row, i) => i >= firstRow && row.every(cell => !cell.trim()));
+        const rows = csv.rows.slice(firstRow, blank === -1 ? csv.rows.length : blank);
+        const projected = csv.coordinates !== GEOGRAPHIC_CRS;
+        // Semicolon-separated files usually come from locales that write decimal commas
+        const number = text => parseFloat(csv.delimiter === ',' ? text : text.replace(',', '.'));
+        const targets = this.getCsvTargets();
+        const labelOf = key => targets.find(target => target.key === key).label;
+        
+        const unmappedPath = csv.headerRow && csv.mapping.path < 0
+            ? csv.headers.find(header => /^(path|المسار)/.test(this.normalizeCsvHeader(header)))
+            : null;
+        if (unmappedPath) {
+            result.pathWarning = `The column "${unmappedPath}" is not mapped, so routes keep only their start and end points.`;
+            result.warnings.push(result.pathWarning);
+        }
+        
+        rows.forEach((cells, index) => {
+            const rowNumber = firstRow + index + 1;
+            const label = `Row ${rowNumber}`;
+            const value = key => csv.mapping[key] >= 0 ? (cells[csv.mapping[key]] || '').trim() : '';
+            const record = { rowNumber, lineData: null, messages: [] };
+            result.records.push(record);
+            
+            const fail = message => {
+                result.errors.push(`${label}: ${message}`);
+                record.messages.push(message);
+            };
+            
+            let pairs;
+            if (value('path')) {
+                pairs = value('path').split(';').filter(pair => pair.trim()).map(pair => pair.trim().split(/\s+/).map(number));
+                if (pairs.some(pair => pair.length !== 2 || pair.some(isNaN))) {
+                    fail(`${labelOf('path')} has a vertex that is not two numbers.`);
+                    return;
+                }
+            } else {
+                const missing = ['startX', 'startY', 'endX', 'endY'].find(key => isNaN(number(value(key))));
+                if (missing) {
+                    fail(`${labelOf(missing)} ${value(missing) ? `"${value(missing)}" is not a number` : 'is empty'}.`);
+                    return;
+                }
+                pairs = [[number(value('startX')), number(value('startY'))], [number(value('endX')), number(value('endY'))]];
+            }
+            
+            if (projected && pairs.some(([x, y]) => x < 100000 || x > 900000 || y < 0 || y > 9400000)) {
+                fail(`coordinates are outside the range of ${this.getCrsName(csv.coordinates)}.`);
+                return;
+            }
+            const points = pairs.map(([x, y]) => projected ? this.unprojectFromCrs(x, y, csv.coordinates) : { lat: x, lng: y });
+            
+            const lineData = {
+                id: value('id'),
+                type: /polygon|مضلع/i.test(value('shape')) ? 'polygon' : 'line',
+                points: points
+            };
+            this.schema.forEach(field => {
+                if (csv.mapping[`field:${field.key}`] === undefined || csv.mapping[`field:${field.key}`] < 0) return;
+                const text = value(`field:${field.key}`);
+                lineData[field.key] = field.type === 'number' && csv.delimiter !== ',' ? text.replace(',', '.') : text;
+                
+                const error = this.validateFieldValue(field, this.coerceFieldValue(field, lineData[field.key]));
+                if (error) {
+                    result.warnings.push(`${label}: ${error}`);
+                    record.messages.push(error);
+                }
+            });
+            
+            const check = { lines: [], errors: [], warnings: [], lengthOptional: true };
+            this.validateLineData(lineData, index, check, label);
+            check.errors.forEach(message => fail(message.slice(label.length + 2)));
+            if (check.lines.length === 0) return;
+            
+            record.lineData = check.lines[0];
+            result.lines.push(record.lineData);
+            result.workOrderNo = result.workOrderNo || value('workOrderNo');
+            result.workType = result.workType || value('workType');
+        });
+        
+        return result;
+    }
+    
+    updateCsvPreview() {
+        const result = this.readCsvRows();
+        const point = p => `${p.lat.toFixed(6)}, ${p.lng.toFixed(6)}`;
+        
+        document.getElementById('csvPreviewHead').innerHTML = `
+            <tr><th>Row</th><th>Line</th><th>Start</th><th>End</th><th>Length (m)</th><th>Status</th></tr>
+        `;
+        document.getElementById('csvPreviewBody').innerHTML = result.records.slice(0, CSV_PREVIEW_ROWS).map(record => {
+            const line = record.lineData;
+            const status = record.messages.length ? this.escapeXml(record.messages.join(' ')) : 'OK';
+            return `
+                <tr class="${line ? (record.messages.length ? 'csv-warning' : '') : 'csv-error'}">
+                    <td>${record.rowNumber}</td>
+                    <td>${line ? this.escapeXml(line.id || '(new)') : ''}</td>
+                    <td>${line ? point(line.points[0]) : ''}</td>
+                    <td>${line ? point(line.points[line.points.length - 1]) : ''}</td>
+                    <td>${line && line.type === 'line' ? line.distance.toFixed(2) : ''}</td>
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        const skipped = result.records.length - result.lines.length;
+        document.getElementById('csvSummary').textContent =
+            `${result.lines.length} of ${result.records.length} row(s) ready to import` +
+            `${skipped ? `, ${skipped} with errors will be skipped` : ''}` +
+            `${result.records.length > CSV_PREVIEW_ROWS ? `. Showing the first ${CSV_PREVIEW_ROWS}.` : '.'}` +
+            `${result.pathWarning ? ` ${result.pathWarning}` : ''}`;
+        document.getElementById('csvImportBtn').disabled = result.lines.length === 0;
+    }
+    
+    confirmCsvImport() {
+        const { records, pathWarning, ...result } = this.readCsvRows();
+        const name = this.csvImport.name;
+        this.closeCsvImport();
+        this.openImportDialog(name, result);
+    }
+    
+    clearDrawing() {
+        this.deselectLine();
+        this.lines.forEach(line => this.removeLineLayers(line));
+        
+        this.lines = [];
+        document.getElementById('linesTableBody').innerHTML = '';
+        this.updateQuantityTotals();
+        this.scheduleValidation();
+    }
+    
+    parseGeoJSON(data) {
+        const features = data.type === 'Feature' ? [data] : (data.features || []);
+        const result = { lines: [], errors: [], workOrderNo: '', workType: '' };
+        
+        features.forEach((feature, index) => {
+            const properties = feature.properties || {};
+            const label = `Feature ${index + 1}${properties.id ? ` (${properties.id})` : ''}`;
+            const geometry = feature.geometry;
+            
+            if (!geometry) {
+                result.errors.push(`${label}: has no geometry.`);
+                return;
+            }
+            
+            let type;
+            let coordinates;
+            if (geometry.type === 'LineString') {
+                type = 'line';
+                coordinates = geometry.coordinates;
+            } else if (geometry.type === 'Polygon') {
+                type = 'polygon';
+                coordinates = (geometry.coordinates || [])[0];
+            } else {
+                result.errors.push(`${label}: unsupported geometry type "${geometry.type}". Only LineString and Polygon can be imported.`);
+                return;
+            }
+            
+            const lineData = this.buildImportedLine(type, (coordinates || []).map(c => ({ lat: c[1], lng: c[0] })), properties);
+            if (typeof lineData === 'string') {
+                result.errors.push(`${label}: ${lineData}`);
+                return;
+            }
+            
+            result.workOrderNo = result.workOrderNo || properties.workOrderNo || '';
+            result.workType = result.workType || properties.workType || '';
+            result.lines.push(lineData);
+        });
+        
+        return result;
+    }
+    
+    parseKML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            return { lines: [], errors: ['The file is not valid KML.'] };
+        }
+        
+        const result = { lines: [], errors: [], workOrderNo: '', workType: '' };
+        
+        Array.from(doc.getElementsByTagName('Placemark')).forEach((placemark, index) => {
+            const nameEl = placemark.getElementsByTagName('name')[0];
+            const properties = {};
+            Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+                const valueEl = data.getElementsByTagName('value')[0];
+                properties[data.getAttribute('name')] = valueEl ? valueEl.textContent.trim() : '';
+            });
+            if (!properties.id && nameEl) {
+                properties.id = nameEl.textContent.trim();
+            }
+            
+            const label = `Placemark ${index + 1}${properties.id ? ` (${properties.id})` : ''}`;
+            const lineString = placemark.getElementsByTagName('LineString')[0];
+            const polygon = placemark.getElementsByTagName('Polygon')[0];
+            
+            let type;
+            let coordinatesEl;
+            if (placemark.getElementsByTagName('MultiGeometry').length > 0) {
+                result.errors.push(`${label}: MultiGeometry is not supported. Split it into separate placemarks.`);
+                return;
+            } else if (lineString) {
+                type = 'line';
+                coordinatesEl = lineString.getElementsByTagName('coordinates')[0];
+            } else if (polygon) {
+                type = 'polygon';
+                const outer = polygon.getElementsByTagName('outerBoundaryIs')[0] || polygon;
+                coordinatesEl = outer.getElementsByTagName('coordinates')[0];
+            } else {
+                const geometry = ['Point', 'Model', 'Track', 'gx:Track'].find(tag => placemark.getElementsByTagName(tag).length > 0);
+                result.errors.push(`${label}: unsupported geometry${geometry ? ` "${geometry}"` : ''}. Only LineString and Polygon can be imported.`);
+                return;
+            }
+            
+            // KML coordinates are "lng,lat[,alt]" tuples separated by whitespace
+            const points = (coordinatesEl ? coordinatesEl.textContent.trim().split(/\s+/) : [])
+                .filter(tuple => tuple)
+                .map(tuple => {
+                    const [lng, lat] = tuple.split(',').map(Number);
+                    return { lat, lng };
+                });
+            
+            const lineData = this.buildImportedLine(type, points, properties);
+            if (typeof lineData === 'string') {
+                result.errors.push(`${label}: ${lineData}`);
+                return;
+            }
+            
+            result.workOrderNo = result.workOrderNo || properties.workOrderNo || '';
+            result.workType = result.workType || properties.workType || '';
+            result.lines.push(lineData);
+        });
+        
+        return result;
+    }
+    
+    // Returns line data for createLineFromData, or an error message
+    buildImportedLine(type, points, properties) {
+        if (points.some(p => !isFinite(p.lat) || !isFinite(p.lng))) {
+            return 'contains invalid coordinates.';
+        }
+        
+        // Rings repeat the first vertex at the end
+        if (type === 'polygon' && points.length > 1) {
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (first.lat === last.lat && first.lng === last.lng) points = points.slice(0, -1);
+        }
+        
+        if (type === 'polygon' && points.length < 3) return 'a polygon needs at least three points.';
+        if (points.length < 2) return 'a line needs at least two points.';
+        
+        if (type !== 'polygon') {
+            if (properties.fromNode) points[0].nodeId = String(properties.fromNode);
+            if (properties.toNode) points[points.length - 1].nodeId = String(properties.toNode);
+        }
+        
+        const lineData = {
+            id: properties.id ? String(properties.id) : '',
+            type: type,
+            points: points
+        };
+        this.schema.forEach(field => lineData[field.key] = this.coerceFieldValue(field, properties[field.key]));
+        
+        return lineData;
+    }
+    
+    createLineFromData(lineData, index = this.lines.length) {
+        // Older drawings only store the two endpoints
+        const points = (lineData.points || [lineData.start, lineData.end]).map(p => this.copyVertex(p));
+        
+        const type = lineData.type || 'line';
+        
+        const line = {
+            id: lineData.id,
+            type: type,
+            points: points,
+            start: points[0],
+            end: points[points.length - 1],
+            distance: lineData.distance
+        };
+        this.schema.forEach(field => line[field.key] = this.coerceFieldValue(field, lineData[field.key]));
+        
+        if (type === 'polygon') {
+            line.distance = this.calculatePathLength(this.getRing(line));
+            line.area = this.calculatePolygonArea(points);
+        }
+        
+        this.addLineLayers(line);
+        
+        this.lines.splice(index, 0, line);
+        this.addLineToTable(line);
+        
+        if (!this.batchingLines) {
+            this.renderWorkOrderList();
+            this.renderPhotoGallery();
+        }
+    }
+    
+    // Column definitions shared by the CSV and XLSX exports. Columns with
+    // `decimals` hold numbers; `numeric` columns hold user input that is a number when valid.
+    getExportColumns() {
+        const workOrderNo = document.getElementById('workOrderNo').value;
+        const workType = document.getElementById('workType').value;
+        const quantities = line => this.calculateQuantities(line);
+        
+        return [
+            { header: 'Work Order No', arabic: 'رقم أمر العمل', value: () => workOrderNo },
+            { header: 'Work Type', arabic: 'نوع العمل', value: () => workType },
+            { header: 'Line', arabic: 'الخط', value: line => line.id },
+            { header: 'Shape', arabic: 'الشكل', value: line => line.type === 'polygon' ? 'Polygon' : 'Line' },
+            { header: 'Start Lat', arabic: 'خط عرض البداية', decimals: 6, value: line => line.start.lat },
+            { header: 'Start Lng', arabic: 'خط طول البداية', decimals: 6, value: line => line.start.lng },
+            { header: 'End Lat', arabic: 'خط عرض النهاية', decimals: 6, value: line => line.end.lat },
+            { header: 'End Lng', arabic: 'خط طول النهاية', decimals: 6, value: line => line.end.lng },
+            { header: 'CRS', arabic: 'نظام الإحداثيات', value: () => this.outputCrs },
+            ...(this.outputCrs === GEOGRAPHIC_CRS ? [] : [
+                { header: 'Start E', arabic: 'شرقي البداية', decimals: 3, value: line => this.getProjectedPoint(line.start).x },
+                { header: 'Start N', arabic: 'شمالي البداية', decimals: 3, value: line => this.getProjectedPoint(line.start).y },
+                { header: 'End E', arabic: 'شرقي النهاية', decimals: 3, value: line => this.getProjectedPoint(line.end).x },
+                { header: 'End N', arabic: 'شمالي النهاية', decimals: 3, value: line => this.getProjectedPoint(line.end).y }
+            ]),
+            { header: 'Length (m)', arabic: 'الطول (م)', decimals: 2, value: line => line.distance },
+            { header: 'Area (m²)', arabic: 'المساحة (م²)', decimals: 2, value: line => line.type === 'polygon' ? line.area : null },
+            ...this.schema.map(field => ({
+                header: this.getFieldHeader(field),
+                arabic: field.arabic || field.label,
+                field: field.key,
+                numeric: field.type === 'number',
+                value: line => this.formatFieldValue(field, line[field.key])
+            })),
+            { header: 'Vertices', arabic: 'عدد النقاط', numeric: true, value: line => line.points.length },
+            this.outputCrs === GEOGRAPHIC_CRS
+                ? { header: 'Path (lat lng; ...)', arabic: 'المسار', value: line => line.points.map(p => `${p.lat.toFixed(6)} ${p.lng.toFixed(6)}`).join('; ') }
+                : { header: 'Path (E N; ...)', arabic: 'المسار', value: line => line.points.map(p => {
+                    const projected = this.getProjectedPoint(p);
+                    return `${projected.x.toFixed(3)} ${projected.y.toFixed(3)}`;
+                }).join('; ') },
+            { header: 'Restoration Area (m²)', arabic: 'مساحة الترميم (م²)', decimals: 2, value: line => quantities(line).area },
+            { header: 'Volume (m³)', arabic: 'الحجم (م³)', decimals: 2, value: line => quantities(line).volume },
+            { header: 'Cost', arabic: 'التكلفة', decimals: 2, value: line => quantities(line).cost }
+        ];
+    }
+    
+    getExportTable() {
+        const columns = this.getExportColumns();
+        
+        const headers = columns.map(column => column.header);
+        const rows = this.lines.map(line => columns.map(column => {
+            const value = column.value(line);
+            if (column.decimals !== undefined) {
+                return value === null || value === undefined ? '' : value.toFixed(column.decimals);
+            }
+            return value;
+        }));
+        
+        const { groups, total } = this.getQuantitySummary();
+        const summaryRows = [
+            ['Subtotal', 'Road Type', 'Excavation Type', 'Length (m)', 'Restoration Area (m²)', 'Volume (m³)', 'Cost'],
+            ...groups.map(group => ['Subtotal', group.roadType, group.excavationType, group.length.toFixed(2), group.area.toFixed(2), group.volume.toFixed(2), group.cost.toFixed(2)]),
+            ['Total', '', '', total.length.toFixed(2), total.area.toFixed(2), total.volume.toFixed(2), total.cost.toFixed(2)]
+        ];
+        
+        return { headers, rows, summaryRows };
+    }
+    
+    exportToCSV() {
+        if (!this.confirmValidation('export to CSV')) return;
+        
+        const { headers, rows, summaryRows } = this.getExportTable();
+        
+        // Free-text fields may contain commas, quotes or line breaks
+        const cell = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const csv = [headers, ...rows, [], ...summaryRows].map(row => row.map(cell).join(',')).join('\n');
+        this.downloadFile(csv, 'text/csv', `map-data-${new Date().toISOString().split('T')[0]}.csv`);
+    }
+    
+    exportToExcel() {
+        if (!this.confirmValidation('export to Excel')) return;
+        
+        const columns = this.getExportColumns();
+        const { groups, total } = this.getQuantitySummary();
+        const header = this.getWorkbookHeaderRows();
+        const text = value => ({ value: value, style: XLSX_STYLES.text });
+        const amount = value => ({ value: value, style: XLSX_STYLES.decimal2 });
+        const bold = value => ({ value: value, style: typeof value === 'number' ? XLSX_STYLES.totalNumber : XLSX_STYLES.totalText });
+        
+        // Lines sheet
+        const lineRows = this.lines.map(line => columns.map(column => {
+            let value = column.value(line);
+            if (column.numeric) {
+                value = parseFloat(value);
+                return isNaN(value) ? null : { value: value, style: XLSX_STYLES.number };
+            }
+            if (column.decimals !== undefined) {
+                if (value === null || value === undefined) return null;
+                const style = { 6: XLSX_STYLES.decimal6, 3: XLSX_STYLES.decimal3 }[column.decimals] || XLSX_STYLES.decimal2;
+                return { value: value, style: style };
+            }
+            return text(value);
+        }));
+        
+        const linesSheet = {
+            name: 'Lines',
+            widths: columns.map(column => column.decimals === 6 || column.decimals === 3 ? 13 : (column.header.startsWith('Path') ? 40 : 15)),
+            rows: [
+                ...header,
+                columns.map(column => ({ value: `${column.header}\n${column.arabic}`, style: XLSX_STYLES.header })),
+                ...lineRows
+            ],
+            freezeRow: header.length + 1
+        };
+        
+        // Summary sheet: combined groups, then totals per road type and per excavation type
+        const summaryHeader = [['Road Type', 'نوع الطريق'], ['Excavation Type', 'نوع الحفر'], ['Count', 'العدد'], ['Length (m)', 'الطول (م)'], ['Restoration Area (m²)', 'مساحة الترميم (م²)'], ['Volume (m³)', 'الحجم (م³)'], ['Cost', 'التكلفة']]
+            .map(([english, arabic]) => ({ value: `${english}\n${arabic}`, style: XLSX_STYLES.header }));
+        const groupRow = (roadType, excavationType, bucket) => [
+            text(roadType), text(excavationType), { value: bucket.count, style: XLSX_STYLES.number },
+            amount(bucket.length), amount(bucket.area), amount(bucket.volume), amount(bucket.cost)
+        ];
+        const rollUp = field => {
+            const buckets = {};
+            groups.forEach(group => {
+                const bucket = buckets[group[field]] || (buckets[group[field]] = { length: 0, area: 0, volume: 0, cost: 0, count: 0 });
+                ['length', 'area', 'volume', 'cost', 'count'].forEach(key => bucket[key] += group[key]);
+            });
+            return buckets;
+        };
+        
+        const summaryRows = [...header, summaryHeader];
+        groups.forEach(group => summaryRows.push(groupRow(group.roadType, group.excavationType, group)));
+        summaryRows.push([bold('Total / الإجمالي'), bold(''), bold(total.count), bold(total.length), bold(total.area), bold(total.volume), bold(total.cost)]);
+        summaryRows.push([]);
+        summaryRows.push([{ value: 'By Road Type / حسب نوع الطريق', style: XLSX_STYLES.label }]);
+        Object.entries(rollUp('roadType')).forEach(([roadType, bucket]) => summaryRows.push(groupRow(roadType, '', bucket)));
+        summaryRows.push([]);
+        summaryRows.push([{ value: 'By Excavation Type / حسب نوع الحفر', style: XLSX_STYLES.label }]);
+        Object.entries(rollUp('excavationType')).forEach(([excavationType, bucket]) => summaryRows.push(groupRow('', excavationType, bucket)));
+        
+        const summarySheet = {
+            name: 'Summary',
+            widths: [16, 18, 8, 14, 18, 14, 14],
+            rows: summaryRows,
+            freezeRow: header.length + 1
+        };
+        
+        const workbook = this.createWorkbook([linesSheet, summarySheet]);
+        this.downloadFile(workbook, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', `map-data-${new Date().toISOString().split('T')[0]}.xlsx`);
+    }
+    
+    // Work order metadata shown above the table on every sheet
+    getWorkbookHeaderRows() {
+        const label = value => ({ value: value, style: XLSX_STYLES.label });
+        const value = value => ({ value: value, style: XLSX_STYLES.text });
+        
+        return [
+            [{ value: 'Excavation Work Order / أمر عمل الحفر', style: XLSX_STYLES.title }],
+            [label('Work Order No / رقم أمر العمل'), value(document.getElementById('workOrderNo').value)],
+            [label('Work Type / نوع العمل'), value(document.getElementById('workType').value)],
+            [label('Date / التاريخ'), value(new Date().toISOString().split('T')[0])],
+            [label('Coordinate System / نظام الإحداثيات'), value(this.getCrsName())],
+            []
+        ];
+    }
+    
+    // Builds an Office Open XML workbook. Each sheet is { name, widths, rows, freezeRow }
+    // where a cell is null or { value, style } with a style index from XLSX_STYLES.
+    createWorkbook(sheets) {
+        const columnName = index => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + (n - 1) % 26) + name;
+            }
+            return name;
+        };
+        
+        const sheetXml = sheet => {
+            const rows = sheet.rows.map((cells, rowIndex) => {
+                const xmlCells = cells.map((cell, colIndex) => {
+                    if (!cell) return '';
+                    const ref = `${columnName(colIndex)}${rowIndex + 1}`;
+                    if (typeof cell.value === 'number' && isFinite(cell.value)) {
+                        return `<c r="${ref}" s="${cell.style}"><v>${cell.value}</v></c>`;
+                    }
+                    return `<c r="${ref}" s="${cell.style}" t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(cell.value)}</t></is></c>`;
+                }).join('');
+                return `<row r="${rowIndex + 1}">${xmlCells}</row>`;
+            }).join('');
+            
+            const pane = sheet.freezeRow
+                ? `<pane ySplit="${sheet.freezeRow}" topLeftCell="A${sheet.freezeRow + 1}" activePane="bottomLeft" state="frozen"/>`
+                : '';
+            const cols = sheet.widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('');
+            
+            return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews><cols>${cols}</cols><sheetData>${rows}</sheetData></worksheet>`;
+        };
+        
+        const files = [
+            { name: '[Content_Types].xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>` },
+            { name: '_rels/.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+            { name: 'xl/workbook.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets.map((s, i) => `<sheet name="${this.escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>` },
+            { name: 'xl/_rels/workbook.xml.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>` },
+            // Text cells use readingOrder 0 (context) so Arabic values render right-to-left
+            { name: 'xl/styles.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="2"><numFmt numFmtId="164" formatCode="0.000000"/><numFmt numFmtId="165" formatCode="0.000"/></numFmts><fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="14"/><name val="Calibri"/></font></fonts><fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFDBEAFE"/><bgColor indexed="64"/></patternFill></fill></fills><borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border><border><left style="thin"/><right style="thin"/><top style="thin"/><bottom style="thin"/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="10"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment readingOrder="0"/></xf><xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1" applyAlignment="1"><alignment horizontal="center" vertical="center" wrapText="1" readingOrder="0"/></xf><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyAlignment="1"><alignment readingOrder="0"/></xf><xf numFmtId="2" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs></styleSheet>` },
+            ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sheet) }))
+        ];
+        
+        return this.createZip(files);
+    }
+    
+    // Minimal ZIP writer (stored, no compression). Files are { name, data } with
+    // data as a string or Uint8Array.
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const crcTable = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+        const crc32 = bytes => {
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        };
+        
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+        
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+            
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            
+            chunks.push(new Uint8Array(local.buffer), name, data);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+        
+        const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, chunk) => sum + chunk.length, 0));
+        let position = 0;
+        parts.forEach(chunk => {
+            zip.set(chunk, position);
+            position += chunk.length;
+        });
+        
+        return zip;
+    }
+    
+    getFeatureProperties(line) {
+        const properties = {
+            id: line.id,
+            shape: line.type === 'polygon' ? 'Polygon' : 'Line',
+            distance: Number(line.distance.toFixed(2)),
+            workOrderNo: document.getElementById('workOrderNo').value,
+            workType: document.getElementById('workType').value
+        };
+        this.schema.forEach(field => properties[field.key] = line[field.key]);
+        
+        if (line.type === 'polygon') {
+            properties.area = Number(line.area.toFixed(2));
+        } else {
+            properties.fromNode = line.start.nodeId;
+            properties.toNode = line.end.nodeId;
+        }
+        
+        // Geometry stays WGS 84 as the formats require; grid coordinates ride along as properties
+        const start = this.getProjectedPoint(line.start);
+        if (start) {
+            const end = this.getProjectedPoint(line.end);
+            properties.crs = this.outputCrs;
+            properties.startEasting = Number(start.x.toFixed(3));
+            properties.startNorthing = Number(start.y.toFixed(3));
+            properties.endEasting = Number(end.x.toFixed(3));
+            properties.endNorthing = Number(end.y.toFixed(3));
+        }
+        
+        return properties;
+    }
+    
+    exportToGeoJSON() {
+        const geojson = {
+            type: 'FeatureCollection',
+            features: this.lines.map(line => {
+                const coordinates = this.getRing(line).map(p => [p.lng, p.lat]);
+                
+                return {
+                    type: 'Feature',
+                    geometry: line.type === 'polygon'
+                        ? { type: 'Polygon', coordinates: [coordinates] }
+                        : { type: 'LineString', coordinates: coordinates },
+                    properties: this.getFeatureProperties(line)
+                };
+            })
+        };
+        
+        this.downloadFile(JSON.stringify(geojson, null, 2), 'application/geo+json', `map-data-${new Date().toISOString().split('T')[0]}.geojson`);
+    }
+    
+    exportToKML() {
+        const placemarks = this.lines.map(line => {
+            const properties = this.getFeatureProperties(line);
+            const coordinates = this.getRing(line).map(p => `${p.lng},${p.lat},0`).join(' ');
+            const geometry = line.type === 'polygon'
+                ? `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon>`
+                : `<LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`;
+            const data = Object.entries(properties)
+                .map(([name, value]) => `<Data name="${this.escapeXml(name)}"><value>${this.escapeXml(value)}</value></Data>`)
+                .join('');
+            
+            return `    <Placemark>
+      <name>${this.escapeXml(line.id)}</name>
+      <styleUrl>#line</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      ${geometry}
+    </Placemark>`;
+        });
+        
+        const workOrderNo = document.getElementById('workOrderNo').value;
+        const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${this.escapeXml(workOrderNo ? `Work Order ${workOrderNo}` : 'Map Drawing')}</name>
+    <Style id="line"><LineStyle><color>fff6823b</color><width>3</width></LineStyle><PolyStyle><color>40f6823b</color></PolyStyle></Style>
+${placemarks.join('\n')}
+  </Document>
+</kml>`;
+        
+        this.downloadFile(kml, 'application/vnd.google-earth.kml+xml', `map-data-${new Date().toISOString().split('T')[0]}.kml`);
+    }
+    
+    async exportToPDF() {
+        const language = document.getElementById('reportLanguage').value;
+        const button = document.getElementById('pdfBtn');
+        button.disabled = true;
+        
+        try {
+            const pages = await this.renderReportPages(language);
+            const images = pages.map(canvas => ({
+                width: canvas.width,
+                height: canvas.height,
+                bytes: this.dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.85))
+            }));
+            
+            const workOrderNo = document.getElementById('workOrderNo').value;
+            const name = `site-report-${workOrderNo ? `${workOrderNo}-` : ''}${new Date().toISOString().split('T')[0]}.pdf`;
+            this.downloadFile(this.createPdf(images), 'application/pdf', name);
+        } catch (error) {
+            console.error('PDF report failed:', error);
+            alert('Could not create the PDF report: ' + error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    // Draws the report onto A4 canvases. Offsets are measured from the start of the
+    // reading direction, so the same layout code produces the English and the RTL page.
+    async renderReportPages(language) {
+        const text = REPORT_TEXT[language];
+        const rtl = language === 'ar';
+        const { width: pageWidth, height: pageHeight, margin } = REPORT_PAGE;
+        const contentWidth = pageWidth - 2 * margin;
+        const workOrderNo = document.getElementById('workOrderNo').value;
+        const { groups, total } = this.getQuantitySummary();
+        const pages = [];
+        let ctx, y;
+        
+        const font = (size, bold) => `${bold ? 'bold ' : ''}${size}px Arial, Tahoma, sans-serif`;
+        const x = offset => rtl ? pageWidth - margin - offset : margin + offset;
+        const left = (offset, width) => rtl ? pageWidth - margin - offset - width : margin + offset;
+        
+        const newPage = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = pageWidth;
+            canvas.height = pageHeight;
+            ctx = canvas.getContext('2d');
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, pageWidth, pageHeight);
+            ctx.direction = rtl ? 'rtl' : 'ltr';
+            ctx.textBaseline = 'top';
+            ctx.textAlign = 'start';
+            pages.push(canvas);
+            y = margin;
+        };
+        const write = (value, offset, size, options = {}) => {
+            ctx.font = font(size, options.bold);
+            ctx.fillStyle = options.color || '#111827';
+            ctx.fillText(String(value), x(offset), options.top === undefined ? y : options.top);
+        };
+        const ensureSpace = height => {
+            if (y + height > pageHeight - margin) newPage();
+        };
+        const heading = title => {
+            ensureSpace(120);
+            y += 16;
+            write(title, 0, 28, { bold: true, color: '#1e40af' });
+            y += 48;
+        };
+        
+        // Table with a repeated header row; columns are { label, width } and rows arrays of strings
+        const table = (columns, rows, totalsRow) => {
+            const lineHeight = 20;
+            const headerLines = columns.map(column => this.wrapText(ctx, column.label, column.width - 12, font(16, true)));
+            const headerHeight = Math.max(...headerLines.map(lines => lines.length)) * lineHeight + 16;
+            const rowHeight = 36;
+            
+            const drawHeader = () => {
+                ctx.fillStyle = '#e5e7eb';
+                ctx.fillRect(margin, y, contentWidth, headerHeight);
+                let offset = 0;
+                columns.forEach((column, i) => {
+                    headerLines[i].forEach((lineText, j) => write(lineText, offset + 6, 16, { bold: true, top: y + 8 + j * lineHeight }));
+                    offset += column.width;
+                });
+                y += headerHeight;
+            };
+            const drawRow = (cells, options = {}) => {
+                if (y + rowHeight > pageHeight - margin) {
+                    newPage();
+                    drawHeader();
+                }
+                if (options.fill) {
+                    ctx.fillStyle = options.fill;
+                    ctx.fillRect(margin, y, contentWidth, rowHeight);
+                }
+                let offset = 0;
+                cells.forEach((cell, i) => {
+                    write(cell, offset + 6, 16, { bold: options.bold, top: y + 10 });
+                    offset += columns[i].width;
+                });
+                ctx.strokeStyle = '#e5e7eb';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(margin, y + rowHeight);
+                ctx.lineTo(margin + contentWidth, y + rowHeight);
+                ctx.stroke();
+                y += rowHeight;
+            };
+            
+            ensureSpace(headerHeight + rowHeight);
+            drawHeader();
+            rows.forEach((cells, i) => drawRow(cells, { fill: i % 2 ? '#f9fafb' : null }));
+            if (totalsRow) drawRow(totalsRow, { bold: true, fill: '#dbeafe' });
+            y += 16;
+        };
+        
+        // Header block
+        newPage();
+        ctx.fillStyle = '#3b82f6';
+        ctx.fillRect(margin, y, contentWidth, 80);
+        write(text.title, 24, 36, { bold: true, color: 'white', top: y + 20 });
+        y += 110;
+        
+        [
+            [text.workOrderNo, workOrderNo || text.none],
+            [text.workType, document.getElementById('workType').value || text.none],
+            [text.date, new Date().toISOString().split('T')[0]],
+            [text.crs, this.getCrsName()],
+            [text.lineCount, this.lines.length],
+            [text.totalLength, total.length.toFixed(2)],
+            [text.totalArea, total.area.toFixed(2)],
+            [text.totalVolume, total.volume.toFixed(2)],
+            [text.totalCost, total.cost.toFixed(2)]
+        ].forEach(([label, value]) => {
+            write(label, 0, 20, { color: '#6b7280' });
+            write(value, 320, 20, { bold: true });
+            y += 34;
+        });
+        
+        // Map snapshot
+        heading(text.map);
+        const mapHeight = Math.min(820, pageHeight - margin - y);
+        await this.drawReportMap(ctx, margin, y, contentWidth, mapHeight);
+        y += mapHeight + 16;
+        
+        // Line schedule
+        newPage();
+        heading(text.lines);
+        const reportColumns = {
+            'Line': 80, 'Shape': 90, 'Length (m)': 100, 'Area (m²)': 100,
+            'Start E': 110, 'Start N': 120, 'End E': 110, 'End N': 120,
+            'Restoration Area (m²)': 110, 'Volume (m³)': 100, 'Cost': 100
+        };
+        const fieldWidths = { number: 70, boolean: 60, date: 100, text: 130, select: 130 };
+        const columns = this.getExportColumns().filter(column => column.field || reportColumns[column.header]);
+        const widthOf = column => column.field ? fieldWidths[this.getField(column.field).type] : reportColumns[column.header];
+        // Custom fields can make the schedule wider than the page; shrink every column to fit
+        const fit = Math.min(1, contentWidth / columns.reduce((sum, column) => sum + widthOf(column), 0));
+        table(
+            columns.map(column => ({ label: rtl ? column.arabic : column.header, width: widthOf(column) * fit })),
+            this.lines.map(line => columns.map(column => {
+                if (column.header === 'Shape') return line.type === 'polygon' ? text.polygon : text.line;
+                const value = column.value(line);
+                if (column.decimals !== undefined) {
+                    return value === null || value === undefined ? '' : value.toFixed(column.decimals);
+                }
+                return value;
+            })),
+            columns.map(column => ({
+                'Line': text.total,
+                'Length (m)': total.length.toFixed(2),
+                'Restoration Area (m²)': total.area.toFixed(2),
+                'Volume (m³)': total.volume.toFixed(2),
+                'Cost': total.cost.toFixed(2)
+            }[column.header] || ''))
+        );
+        
+        heading(text.summary);
+        table(
+            [
+                { label: text.roadType, width: 220 },
+                { label: text.excavationType, width: 220 },
+                { label: text.length, width: 160 },
+                { label: text.area, width: 160 },
+                { label: text.volume, width: 160 },
+                { label: text.cost, width: 160 }
+            ],
+            groups.map(group => [group.roadType, group.excavationType, group.length.toFixed(2), group.area.toFixed(2), group.volume.toFixed(2), group.cost.toFixed(2)]),
+            [text.total, '', total.length.toFixed(2), total.area.toFixed(2), total.volume.toFixed(2), total.cost.toFixed(2)]
+        );
+        
+        // Photos, two per page; the GPS/time/compass overlay is already part of each image
+        if (this.photos.length > 0) {
+            newPage();
+            heading(text.photos);
+            
+            for (const photo of this.photos) {
+                const boxHeight = 580;
+                ensureSpace(boxHeight + 150);
+                
+                const image = await this.loadReportImage(photo.dataUrl);
+                if (image) {
+                    const scale = Math.min(contentWidth / image.width, boxHeight / image.height);
+                    const width = image.width * scale;
+                    ctx.drawImage(image, left(0, width), y, width, image.height * scale);
+                    y += image.height * scale + 12;
+                } else {
+                    y += 12;
+                }
+                
+                write(photo.id, 0, 20, { bold: true });
+                y += 30;
+                [
+                    [text.linkedLine, photo.lineId || text.none],
+                    [text.position, `${photo.gps.lat.toFixed(6)}, ${photo.gps.lng.toFixed(6)}${photo.gps.accuracy ? ` (±${photo.gps.accuracy.toFixed(1)} m)` : ''}`],
+                    [text.taken, new Date(photo.timestamp).toLocaleString(rtl ? 'ar-EG' : 'en-GB')],
+                    [text.heading, `${Math.round(photo.heading || 0)}°`]
+                ].forEach(([label, value]) => {
+                    write(label, 0, 16, { color: '#6b7280' });
+                    write(value, 160, 16);
+                    y += 24;
+                });
+                y += 24;
+            }
+        }
+        
+        // Notes and sign-off
+        const notes = document.getElementById('reportNotes').value.trim();
+        const noteLines = notes ? notes.split('\n').flatMap(paragraph => this.wrapText(ctx, paragraph, contentWidth - 32, font(18))) : [];
+        const notesHeight = Math.max(160, noteLines.length * 28 + 32);
+        
+        ensureSpace(notesHeight + 400);
+        heading(text.notes);
+        ctx.strokeStyle = '#9ca3af';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(margin, y, contentWidth, notesHeight);
+        noteLines.forEach((lineText, i) => write(lineText, 16, 18, { top: y + 16 + i * 28 }));
+        y += notesHeight + 16;
+        
+        heading(text.signOff);
+        [text.preparedBy, text.supervisor].forEach(role => {
+            y += 40;
+            [[role, 0, 360], [text.signature, 400, 380], [text.date, 820, 260]].forEach(([label, offset, width]) => {
+                write(label, offset, 18, { color: '#6b7280' });
+                ctx.strokeStyle = '#111827';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(left(offset, width - 20), y + 70);
+                ctx.lineTo(left(offset, width - 20) + width - 20, y + 70);
+                ctx.stroke();
+            });
+            y += 90;
+        });
+        
+        pages.forEach((canvas, i) => {
+            const pageCtx = canvas.getContext('2d');
+            pageCtx.font = font(14);
+            pageCtx.fillStyle = '#6b7280';
+            pageCtx.textAlign = 'center';
+            pageCtx.fillText(`${text.page} ${i + 1} ${text.of} ${pages.length}${workOrderNo ? ` · ${workOrderNo}` : ''}`, pageWidth / 2, pageHeight - margin / 2);
+        });
+        
+        return pages;
+    }
+    
+    // Lines drawn in Web Mercator over the active base layer's tiles, zoomed to fit.
+    // Tiles that fail to load (offline, no CORS) just leave the background blank.
+    async drawReportMap(ctx, left, top, width, height) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, width, height);
+        ctx.clip();
+        ctx.fillStyle = '#f3f4f6';
+        ctx.fillRect(left, top, width, height);
+        
+        if (this.lines.length > 0) {
+            const crs = L.CRS.EPSG3857;
+            const bounds = L.latLngBounds(this.lines.flatMap(line => line.points.map(p => [p.lat, p.lng])));
+            const padding = 80;
+            
+            let zoom = 19;
+            while (zoom > 0) {
+                const size = crs.latLngToPoint(bounds.getSouthEast(), zoom).subtract(crs.latLngToPoint(bounds.getNorthWest(), zoom));
+                if (size.x <= width - 2 * padding && size.y <= height - 2 * padding) break;
+                zoom--;
+            }
+            
+            const origin = crs.latLngToPoint(bounds.getCenter(), zoom).subtract([width / 2, height / 2]);
+            const toCanvas = p => {
+                const point = crs.latLngToPoint(L.latLng(p.lat, p.lng), zoom);
+                return [left + point.x - origin.x, top + point.y - origin.y];
+            };
+            
+            const layerName = this.map.hasLayer(this.layers.satellite) ? 'satellite' : 'street';
+            const layer = this.layers[layerName];
+            const maxTile = Math.pow(2, zoom) - 1;
+            const tiles = [];
+            for (let tx = Math.max(0, Math.floor(origin.x / 256)); tx <= Math.min(maxTile, Math.floor((origin.x + width) / 256)); tx++) {
+                for (let ty = Math.max(0, Math.floor(origin.y / 256)); ty <= Math.min(maxTile, Math.floor((origin.y + height) / 256)); ty++) {
+                    tiles.push({ tx, ty, url: L.Util.template(layer._url, { z: zoom, x: tx, y: ty, s: '', r: '' }) });
+                }
+            }
+            const images = await Promise.all(tiles.map(tile => this.loadReportImage(tile.url)));
+            images.forEach((image, i) => {
+                if (image) ctx.drawImage(image, left + tiles[i].tx * 256 - origin.x, top + tiles[i].ty * 256 - origin.y, 256, 256);
+            });
+            
+            this.lines.forEach(line => {
+                const ring = this.getRing(line).map(toCanvas);
+                ctx.beginPath();
+                ring.forEach(([px, py], i) => i === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py));
+                if (line.type === 'polygon') {
+                    ctx.fillStyle = 'rgba(59, 130, 246, 0.2)';
+                    ctx.fill();
+                }
+                ctx.strokeStyle = '#2563eb';
+                ctx.lineWidth = 4;
+                ctx.stroke();
+                
+                ctx.fillStyle = '#1e40af';
+                line.points.map(toCanvas).forEach(([px, py]) => {
+                    ctx.beginPath();
+                    ctx.arc(px, py, 5, 0, Math.PI * 2);
+                    ctx.fill();
+                });
+            });
+            
+            // Labels after all lines so none is painted over
+            ctx.font = 'bold 16px Arial, Tahoma, sans-serif';
+            ctx.textBaseline = 'middle';
+            ctx.textAlign = 'center';
+            ctx.direction = 'ltr';
+            this.lines.forEach(line => {
+                const [lat, lng] = this.getLabelPosition(line);
+                const [px, py] = toCanvas({ lat, lng });
+                const label = line.type === 'polygon'
+                    ? `${line.id} · ${line.area.toFixed(2)} m²`
+                    : `${line.id} · ${line.distance.toFixed(2)} m`;
+                const labelWidth = ctx.measureText(label).width + 16;
+                
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+                ctx.fillRect(px - labelWidth / 2, py - 14, labelWidth, 28);
+                ctx.strokeStyle = '#2563eb';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(px - labelWidth / 2, py - 14, labelWidth, 28);
+                ctx.fillStyle = '#111827';
+                ctx.fillText(label, px, py);
+            });
+            
+            // Scale bar with a 1/2/5 × 10^n length no longer than 200 px
+            const metersPerPixel = 40075016.686 * Math.cos(bounds.getCenter().lat * Math.PI / 180) / (256 * Math.pow(2, zoom));
+            const magnitude = Math.pow(10, Math.floor(Math.log10(200 * metersPerPixel)));
+            const scaleMeters = [5, 2, 1].map(step => step * magnitude).find(meters => meters / metersPerPixel <= 200);
+            const scaleWidth = scaleMeters / metersPerPixel;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.fillRect(left + 16, top + height - 56, scaleWidth + 24, 40);
+            ctx.fillStyle = '#111827';
+            ctx.fillRect(left + 28, top + height - 28, scaleWidth, 4);
+            ctx.textAlign = 'left';
+            ctx.fillText(scaleMeters >= 1000 ? `${scaleMeters / 1000} km` : `${scaleMeters} m`, left + 28, top + height - 42);
+            
+            if (images.some(Boolean)) {
+                ctx.font = '12px Arial, sans-serif';
+                ctx.textAlign = 'right';
+                ctx.fillText(layerName === 'satellite' ? '© Esri' : '© OpenStreetMap contributors', left + width - 8, top + height - 12);
+            }
+        }
+        
+        // North arrow
+        ctx.fillStyle = '#ef4444';
+        ctx.beginPath();
+        ctx.moveTo(left + width - 40, top + 20);
+        ctx.lineTo(left + width - 52, top + 52);
+        ctx.lineTo(left + width - 28, top + 52);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = '#111827';
+        ctx.font = 'bold 18px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('N', left + width - 40, top + 56);
+        
+        ctx.restore();
+        ctx.strokeStyle = '#9ca3af';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(left, top, width, height);
+    }
+    
+    loadReportImage(src) {
+        return new Promise(resolve => {
+            const image = new Image();
+            const timer = setTimeout(() => resolve(null), 8000);
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                clearTimeout(timer);
+                resolve(image);
+            };
+            image.onerror = () => {
+                clearTimeout(timer);
+                resolve(null);
+            };
+            image.src = src;
+        });
     }
     
-    createLineFromData(lineData) {
-        const polyline = L.polyline([
-            [lineData.start.lat, lineData.start.lng],
-            [lineData.end.lat, lineData.end.lng]
-        ], {
-            color: '#3b82f6',
-            weight: 3,
-            opacity: 0.8
-        }).addTo(this.linesLayer);
+    wrapText(ctx, value, maxWidth, font) {
+        ctx.font = font;
+        const lines = [];
+        let current = '';
         
-        const startMarker = L.circleMarker([lineData.start.lat, lineData.start.lng], {
-            radius: 6,
-            fillColor: '#3b82f6',
-            color: '#1e40af',
-            weight: 2,
-            opacity: 1,
-            fillOpacity: 0.8
-        }).addTo(this.linesLayer);
+        String(value).split(/\s+/).forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (current && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        });
+        if (current) lines.push(current);
         
-        const endMarker = L.circleMarker([lineData.end.lat, lineData.end.lng], {
-            radius: 8,
-            fillColor: '#ef4444',
-            color: '#991b1b',
-            weight: 2,
-            opacity: 1,
-            fillOpacity: 0.8
-        }).addTo(this.linesLayer);
+        return lines.length > 0 ? lines : [''];
+    }
+    
+    // Minimal PDF writer: one full-page JPEG image per page (DCTDecode passes the
+    // JPEG bytes through unchanged). Pages are { width, height, bytes }.
+    createPdf(pages) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
         
-        const midpoint = [
-            (lineData.start.lat + lineData.end.lat) / 2,
-            (lineData.start.lng + lineData.end.lng) / 2
-        ];
+        const add = data => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const object = (id, dictionary, stream) => {
+            offsets[id] = length;
+            add(`${id} 0 obj\n${dictionary}\n`);
+            if (stream) {
+                add('stream\n');
+                add(stream);
+                add('\nendstream\n');
+            }
+            add('endobj\n');
+        };
         
-        const distanceLabel = L.marker(midpoint, {
-            icon: L.divIcon({
-                className: 'distance-label',
-                html: `<div style="background: white; padding: 4px 8px; border-radius: 4px; border: 2px solid #3b82f6; font-weight: bold; font-size: 12px; white-space: nowrap;">${lineData.distance.toFixed(2)} m</div>`,
-                iconSize: [60, 20]
-            })
-        }).addTo(this.linesLayer);
+        const pageWidth = 595.28;
+        const pageHeight = 841.89;
+        const pageIds = pages.map((page, i) => 3 + i * 3);
         
-        const line = {
-            id: lineData.id,
-            start: lineData.start,
-            end: lineData.end,
-            distance: lineData.distance,
-            depth: lineData.depth || '',
-            width: lineData.width || '',
-            excavationType: lineData.excavationType || 'العادي',
-            roadType: lineData.roadType || 'Soil',
-            polyline: polyline,
-            startMarker: startMarker,
-            endMarker: endMarker,
-            distanceLabel: distanceLabel
-        };
+        add('%PDF-1.4\n');
+        add(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
         
-        this.lines.push(line);
-        this.addLineToTable(line);
-    }
-    
-    exportToCSV() {
-        const workOrderNo = document.getElementById('workOrderNo').value;
-        const workType = document.getElementById('workType').value;
+        pages.forEach((page, i) => {
+            const id = pageIds[i];
+            const content = encoder.encode(`q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`);
+            
+            object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+            object(id + 1, `<< /Length ${content.length} >>`, content);
+            object(id + 2, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.bytes.length} >>`, page.bytes);
+        });
         
-        const headers = ['Work Order No', 'Work Type', 'Line', 'Start Lat', 'Start Lng', 'End Lat', 'End Lng', 'Length (m)', 'Depth', 'Width', 'Excavation Type', 'Road Type'];
-        const rows = this.lines.map(line => [
-            workOrderNo,
-            workType,
-            line.id,
-            line.start.lat.toFixed(6),
-            line.start.lng.toFixed(6),
-            line.end.lat.toFixed(6),
-            line.end.lng.toFixed(6),
-            line.distance.toFixed(2),
-            line.depth,
-            line.width,
-            line.excavationType,
-            line.roadType
-        ]);
-        
-        const csv = [headers, ...rows].map(row => row.join(',')).join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `map-data-${new Date().toISOString().split('T')[0]}.csv`;
-        a.click();
-        URL.revokeObjectURL(url);
+        const xrefOffset = length;
+        const size = 3 + pages.length * 3;
+        add(`xref\n0 ${size}\n0000000000 65535 f \n`);
+        add(offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+        add(`trailer\n<< /Size ${size} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+        
+        const pdf = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            pdf.set(chunk, position);
+            position += chunk.length;
+        });
+        return pdf;
     }
     
-    exportToExcel() {
-        const workOrderNo = document.getElementById('workOrderNo').value;
-        const workType = document.getElementById('workType').value;
-        
-        const headers = ['Work Order No', 'Work Type', 'Line', 'Start Lat', 'Start Lng', 'End Lat', 'End Lng', 'Length (m)', 'Depth', 'Width', 'Excavation Type', 'Road Type'];
-        const rows = this.lines.map(line => [
-            workOrderNo,
-            workType,
-            line.id,
-            line.start.lat.toFixed(6),
-            line.start.lng.toFixed(6),
-            line.end.lat.toFixed(6),
-            line.end.lng.toFixed(6),
-            line.distance.toFixed(2),
-            line.depth,
-            line.width,
-            line.excavationType,
-            line.roadType
-        ]);
-        
-        let html = '<table border="1"><thead><tr>';
-        headers.forEach(h => html += `<th>${h}</th>`);
-        html += '</tr></thead><tbody>';
-        rows.forEach(row => {
-            html += '<tr>';
-            row.forEach(cell => html += `<td>${cell}</td>`);
-            html += '</tr>';
-        });
-        html += '</tbody></table>';
-        
-        const blob = new Blob([html], { type: 'application/vnd.ms-excel' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `map-data-${new Date().toISOString().split('T')[0]}.xls`;
-        a.click();
-        URL.revokeObjectURL(url);
+    escapeXml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
     }
     
-    // Device orientation for compass
+    // Device orientation for compass. Chrome only reports a north-referenced
+    // alpha on the absolute event; iOS gives webkitCompassHeading instead.
     setupDeviceOrientation() {
         if (window.DeviceOrientationEvent) {
-            window.addEventListener('deviceorientation', (event) => {
-                // Get compass heading (0-360 degrees)
-                this.deviceOrientation = event.alpha || event.webkitCompassHeading || 0;
+            const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+            const follow = L.Util.throttle(() => this.applyDeviceHeading(), HEADING_UPDATE_INTERVAL);
+            
+            window.addEventListener(eventName, (event) => {
+                // Compass heading, 0-360 degrees clockwise from north (alpha runs counter-clockwise)
+                if (event.webkitCompassHeading !== undefined) {
+                    this.deviceOrientation = event.webkitCompassHeading;
+                } else if (event.alpha !== null) {
+                    this.deviceOrientation = (360 - event.alpha) % 360;
+                }
+                
+                if (this.followHeading) follow();
             });
         }
     }
@@ -892,21 +5544,30 @@ class MapDrawingApp {
         // Add overlays
         this.addPhotoOverlays(ctx, canvas.width, canvas.height);
         
-        // Convert to data URL
-        const photoDataUrl = canvas.toDataURL('image/jpeg', 0.9);
+        const takenAt = new Date();
+        const gps = { ...this.currentGpsPosition };
+        
+        // Convert to data URL, tagged with the same position/time/heading as the overlay
+        const photoDataUrl = this.addExifToJpeg(canvas.toDataURL('image/jpeg', 0.9), {
+            gps: gps,
+            date: takenAt,
+            heading: this.deviceOrientation
+        });
         
-        // Create photo object
+        // Create photo object; a selected line gets the photo attached
         const photo = {
-            id: `P${this.photos.length + 1}`,
+            id: `P${this.photoCounter++}`,
             dataUrl: photoDataUrl,
-            gps: { ...this.currentGpsPosition },
-            timestamp: new Date().toISOString(),
-            heading: this.deviceOrientation
+            gps: gps,
+            timestamp: takenAt.toISOString(),
+            heading: this.deviceOrientation,
+            lineId: this.selectedLine ? this.selectedLine.id : null
         };
         
         this.photos.push(photo);
         this.addPhotoMarker(photo);
         this.updatePhotoCount();
+        this.scheduleAutosave();
         
         // Close camera
         this.closeCamera();
@@ -1041,12 +5702,6 @@ class MapDrawingApp {
         });
         
         this.photoMarkers.push({ photo: photo, marker: marker });
-        
-        // Counter-rotate if map is rotated
-        if (marker._icon) {
-            marker._icon.style.transformOrigin = 'center center';
-            marker._icon.style.transform = `rotate(${-this.mapRotation}deg)`;
-        }
     }
     
     viewPhoto(photo) {
@@ -1060,6 +5715,666 @@ class MapDrawingApp {
     
     updatePhotoCount() {
         document.getElementById('photoCount').textContent = `Photos: ${this.photos.length}`;
+        this.renderPhotoGallery();
+    }
+    
+    setPhotos(photos) {
+        this.photoMarkers.forEach(({ marker }) => marker.remove());
+        this.photoMarkers = [];
+        this.photos = photos.map(photo => ({ ...photo }));
+        this.photos.forEach(photo => this.addPhotoMarker(photo));
+        this.updatePhotoCount();
+    }
+    
+    getNextPhotoNumber() {
+        return this.photos.reduce((max, photo) => Math.max(max, parseInt(photo.id.slice(1), 10) || 0), 0) + 1;
+    }
+    
+    linkPhoto(photoId, lineId) {
+        const photo = this.photos.find(p => p.id === photoId);
+        if (!photo) return;
+        
+        photo.lineId = lineId || null;
+        this.renderPhotoGallery();
+        this.scheduleAutosave();
+    }
+    
+    deletePhoto(photoId) {
+        if (!confirm(`Delete photo ${photoId}?`)) return;
+        
+        const entry = this.photoMarkers.find(({ photo }) => photo.id === photoId);
+        if (entry) entry.marker.remove();
+        
+        this.photoMarkers = this.photoMarkers.filter(({ photo }) => photo.id !== photoId);
+        this.photos = this.photos.filter(p => p.id !== photoId);
+        this.updatePhotoCount();
+        this.scheduleAutosave();
+    }
+    
+    // Gallery of thumbnails, filtered to one line, unlinked photos or all
+    renderPhotoGallery() {
+        if (this.batchingLines) return;
+        
+        const filter = document.getElementById('photoGalleryFilter');
+        const selected = filter.value;
+        const lineIds = this.lines.map(line => line.id);
+        
+        filter.innerHTML = `
+            <option value="">All photos</option>
+            <option value="-">Not linked to a line</option>
+            ${lineIds.map(id => `<option value="${this.escapeXml(id)}">${this.escapeXml(id)}</option>`).join('')}
+        `;
+        filter.value = selected === '' || selected === '-' || lineIds.includes(selected) ? selected : '';
+        
+        const photos = this.photos.filter(photo => {
+            if (filter.value === '') return true;
+            if (filter.value === '-') return !photo.lineId || !lineIds.includes(photo.lineId);
+            return photo.lineId === filter.value;
+        });
+        
+        const gallery = document.getElementById('photoGallery');
+        gallery.innerHTML = '';
+        
+        if (photos.length === 0) {
+            gallery.innerHTML = '<div class="empty-list">No photos</div>';
+            return;
+        }
+        
+        photos.forEach(photo => {
+            const item = document.createElement('div');
+            item.className = 'photo-thumb';
+            item.innerHTML = `
+                <img src="${this.escapeXml(photo.dataUrl)}" alt="${this.escapeXml(photo.id)}">
+                <div class="photo-thumb-info">
+                    <span>${this.escapeXml(photo.id)}</span>
+                    <select>
+                        <option value="">No line</option>
+                        ${lineIds.map(id => `<option value="${this.escapeXml(id)}" ${photo.lineId === id ? 'selected' : ''}>${this.escapeXml(id)}</option>`).join('')}
+                    </select>
+                    <button class="delete-btn">×</button>
+                </div>
+            `;
+            
+            item.querySelector('img').addEventListener('click', () => this.viewPhoto(photo));
+            item.querySelector('select').addEventListener('change', (e) => this.linkPhoto(photo.id, e.target.value));
+            item.querySelector('.delete-btn').addEventListener('click', () => this.deletePhoto(photo.id));
+            
+            gallery.appendChild(item);
+        });
+    }
+    
+    // Inserts an EXIF APP1 segment (date/time, GPS position, accuracy and image
+    // direction) right after the JPEG SOI marker. Canvas JPEGs carry no EXIF.
+    addExifToJpeg(dataUrl, { gps, date, heading }) {
+        const jpeg = this.dataUrlToBytes(dataUrl);
+        const tiff = this.buildExifTiff(gps, date, heading);
+        const header = [0xFF, 0xE1, (tiff.length + 8) >> 8, (tiff.length + 8) & 0xFF, 0x45, 0x78, 0x69, 0x66, 0, 0];
+        
+        const result = new Uint8Array(jpeg.length + header.length + tiff.length);
+        result.set(jpeg.subarray(0, 2), 0);
+        result.set(header, 2);
+        result.set(tiff, 2 + header.length);
+        result.set(jpeg.subarray(2), 2 + header.length + tiff.length);
+        
+        let encoded = '';
+        for (let i = 0; i < result.length; i += 0x8000) {
+            encoded += String.fromCharCode.apply(null, result.subarray(i, i + 0x8000));
+        }
+        return `data:image/jpeg;base64,${btoa(encoded)}`;
+    }
+    
+    // Big-endian TIFF structure with IFD0 -> Exif IFD and GPS IFD
+    buildExifTiff(gps, date, heading) {
+        const u16 = n => [(n >> 8) & 0xFF, n & 0xFF];
+        const u32 = n => [(n >>> 24) & 0xFF, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+        const pad = n => String(n).padStart(2, '0');
+        
+        const ascii = (tag, text) => ({ tag, type: 2, size: 1, bytes: [...text].map(c => c.charCodeAt(0)).concat(0) });
+        const rational = (tag, values) => ({ tag, type: 5, size: 8, bytes: values.flatMap(([n, d]) => [...u32(n), ...u32(d)]) });
+        const long = (tag, value) => ({ tag, type: 4, size: 4, bytes: u32(value) });
+        const dms = value => {
+            const abs = Math.abs(value);
+            const degrees = Math.floor(abs);
+            const minutes = Math.floor((abs - degrees) * 60);
+            const seconds = Math.round(((abs - degrees) * 60 - minutes) * 60 * 10000);
+            return [[degrees, 1], [minutes, 1], [seconds, 10000]];
+        };
+        
+        // Writes an IFD at `start`, with values longer than 4 bytes after it
+        const writeIfd = (entries, start) => {
+            const bytes = [...u16(entries.length)];
+            const data = [];
+            const dataStart = start + 2 + entries.length * 12 + 4;
+            
+            entries.forEach(entry => {
+                bytes.push(...u16(entry.tag), ...u16(entry.type), ...u32(entry.bytes.length / entry.size));
+                if (entry.bytes.length <= 4) {
+                    bytes.push(...entry.bytes, ...new Array(4 - entry.bytes.length).fill(0));
+                } else {
+                    bytes.push(...u32(dataStart + data.length));
+                    data.push(...entry.bytes);
+                    if (data.length % 2) data.push(0);
+                }
+            });
+            
+            return bytes.concat([0, 0, 0, 0], data);
+        };
+        
+        const localTime = `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+        
+        const exifEntries = [ascii(0x9003, localTime), ascii(0x9004, localTime)];
+        const gpsEntries = [
+            { tag: 0x0000, type: 1, size: 1, bytes: [2, 3, 0, 0] },
+            ascii(0x0001, gps.lat >= 0 ? 'N' : 'S'),
+            rational(0x0002, dms(gps.lat)),
+            ascii(0x0003, gps.lng >= 0 ? 'E' : 'W'),
+            rational(0x0004, dms(gps.lng)),
+            rational(0x0007, [[date.getUTCHours(), 1], [date.getUTCMinutes(), 1], [date.getUTCSeconds(), 1]]),
+            ascii(0x0010, 'M'),
+            rational(0x0011, [[Math.round((((heading || 0) % 360) + 360) % 360 * 100), 100]]),
+            ascii(0x001D, `${date.getUTCFullYear()}:${pad(date.getUTCMonth() + 1)}:${pad(date.getUTCDate())}`)
+        ];
+        if (gps.accuracy !== undefined) {
+            gpsEntries.push(rational(0x001F, [[Math.round(gps.accuracy * 100), 100]]));
+        }
+        
+        const ifd0Entries = exifPointer => [
+            ascii(0x0131, 'GPS Map Drawing'),
+            ascii(0x0132, localTime),
+            long(0x8769, exifPointer),
+            long(0x8825, exifPointer + writeIfd(exifEntries, exifPointer).length)
+        ];
+        
+        // IFD0 has a fixed size, so its length gives where the Exif IFD starts
+        const exifStart = 8 + writeIfd(ifd0Entries(0), 8).length;
+        const ifd0 = writeIfd(ifd0Entries(exifStart), 8);
+        const exif = writeIfd(exifEntries, exifStart);
+        const gpsIfd = writeIfd(gpsEntries, exifStart + exif.length);
+        
+        return new Uint8Array([0x4D, 0x4D, 0x00, 0x2A, ...u32(8), ...ifd0, ...exif, ...gpsIfd]);
+    }
+    
+    // JSON drawing plus each photo as a JPEG file, referenced from the JSON by path
+    exportToZip() {
+        const drawing = this.serializeDrawingFile();
+        const files = [];
+        
+        drawing.photos = this.photos.map(photo => {
+            const { dataUrl, ...metadata } = photo;
+            const file = `photos/${photo.id}.jpg`;
+            files.push({ name: file, data: this.dataUrlToBytes(dataUrl) });
+            return { ...metadata, file: file };
+        });
+        
+        const date = new Date().toISOString().split('T')[0];
+        files.unshift({ name: `map-drawing-${date}.json`, data: JSON.stringify(drawing, null, 2) });
+        
+        this.downloadFile(this.createZip(files), 'application/zip', `map-drawing-${date}.zip`);
+    }
+    
+    dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+    
+    // Background plans. A plan is { id, kind: 'image' | 'dxf', name, visible, opacity }
+    // plus, for images, the picture and an affine transform from image pixels to
+    // spherical-mercator metres, and for DXF files the converted paths in lat/lng.
+    setPlans(plans) {
+        Object.values(this.planLayers).forEach(layer => layer.remove());
+        this.planLayers = {};
+        this.plans = plans.map(plan => ({ ...plan }));
+        this.plans.forEach(plan => this.addPlanLayer(plan));
+        this.renderPlanList();
+    }
+    
+    // Adding and removing plans are history commands: undo snapshots include the
+    // plans, so a plan that came and went outside history could not be redone.
+    addPlan(plan) {
+        const data = { ...plan };
+        this.insertPlan(data, this.plans.length);
+        
+        this.recordCommand({
+            label: `add plan ${plan.name}`,
+            undo: () => this.deletePlan(data.id),
+            redo: () => this.insertPlan(data, this.plans.length)
+        });
+    }
+    
+    insertPlan(data, index) {
+        const plan = { ...data };
+        this.plans.splice(index, 0, plan);
+        this.addPlanLayer(plan);
+        this.renderPlanList();
+        this.scheduleAutosave();
+    }
+    
+    deletePlan(id) {
+        this.planLayers[id].remove();
+        delete this.planLayers[id];
+        this.plans = this.plans.filter(p => p.id !== id);
+        this.renderPlanList();
+        this.scheduleAutosave();
+    }
+    
+    createPlanId() {
+        return `plan-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    }
+    
+    addPlanLayer(plan) {
+        const layer = plan.kind === 'image'
+            ? new PlanImageLayer(plan.dataUrl, plan.transform, { pane: 'plansPane' })
+            : L.layerGroup(plan.paths.map(path => L.polyline(path, {
+                renderer: this.plansRenderer,
+                color: '#7c3aed',
+                weight: 1.5,
+                interactive: false
+            })));
+        
+        this.planLayers[plan.id] = layer;
+        this.setPlanOpacity(plan.id, plan.opacity);
+        if (plan.visible) layer.addTo(this.map);
+    }
+    
+    setPlanOpacity(id, opacity) {
+        const plan = this.plans.find(p => p.id === id);
+        const layer = this.planLayers[id];
+        plan.opacity = opacity;
+        
+        if (plan.kind === 'image') {
+            layer.setOpacity(opacity);
+        } else {
+            layer.eachLayer(polyline => polyline.setStyle({ opacity: opacity }));
+        }
+    }
+    
+    togglePlan(id, visible) {
+        const plan = this.plans.find(p => p.id === id);
+        plan.visible = visible;
+        
+        if (visible) {
+            this.planLayers[id].addTo(this.map);
+        } else {
+            this.planLayers[id].remove();
+        }
+        this.scheduleAutosave();
+    }
+    
+    removePlan(id) {
+        const plan = this.plans.find(p => p.id === id);
+        if (!confirm(`Remove the plan "${plan.name}"?`)) return;
+        
+        const data = { ...plan };
+        const index = this.plans.indexOf(plan);
+        this.deletePlan(id);
+        
+        this.recordCommand({
+            label: `remove plan ${plan.name}`,
+            undo: () => this.insertPlan(data, index),
+            redo: () => this.deletePlan(id)
+        });
+    }
+    
+    zoomToPlan(id) {
+        const plan = this.plans.find(p => p.id === id);
+        const bounds = plan.kind === 'image'
+            ? L.latLngBounds([[0, 0], [plan.width, 0], [0, plan.height], [plan.width, plan.height]]
+                .map(([x, y]) => this.imagePointToLatLng(plan.transform, x, y)))
+            : L.latLngBounds(plan.paths.flat());
+        this.map.fitBounds(bounds);
+    }
+    
+    renderPlanList() {
+        const list = document.getElementById('planList');
+        
+        if (this.plans.length === 0) {
+            list.innerHTML = '<div class="empty-list">No background plans.</div>';
+            return;
+        }
+        
+        list.innerHTML = '';
+        this.plans.forEach(plan => {
+            const item = document.createElement('div');
+            item.className = 'plan-item';
+            const detail = plan.kind === 'image'
+                ? `${plan.controlPoints.length} control points, RMS ${plan.rms.toFixed(2)} m`
+                : `${plan.paths.length} paths, ${PROJECTED_CRS[plan.crs].name}`;
+            
+            item.innerHTML = `
+                <label class="checkbox-label">
+                    <input type="checkbox" ${plan.visible ? 'checked' : ''} data-plan-action="toggle">
+                    <span class="plan-name">${this.escapeXml(plan.name)}</span>
+                </label>
+                <div class="vertex-count">${detail}</div>
+                <input type="range" min="0" max="1" step="0.05" value="${plan.opacity}" data-plan-action="opacity" title="Opacity">
+                <div class="plan-actions">
+                    <button class="btn" data-plan-action="zoom">Zoom to</button>
+                    <button class="delete-btn" data-plan-action="remove">Remove</button>
+                </div>
+            `;
+            
+            item.querySelector('[data-plan-action="toggle"]').addEventListener('change', (e) => this.togglePlan(plan.id, e.target.checked));
+            item.querySelector('[data-plan-action="opacity"]').addEventListener('input', (e) => this.setPlanOpacity(plan.id, parseFloat(e.target.value)));
+            item.querySelector('[data-plan-action="opacity"]').addEventListener('change', () => this.scheduleAutosave());
+            item.querySelector('[data-plan-action="zoom"]').addEventListener('click', () => this.zoomToPlan(plan.id));
+            item.querySelector('[data-plan-action="remove"]').addEventListener('click', () => this.removePlan(plan.id));
+            
+            list.appendChild(item);
+        });
+    }
+    
+    // Image plans are placed by pairing points on the picture with points on the map:
+    // click the image, then the same spot on the map, at least MIN_CONTROL_POINTS times
+    importPlanImage(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const image = document.getElementById('georefImage');
+            image.onload = () => {
+                this.cancelGeoreference();
+                this.georef = {
+                    name: file.name,
+                    dataUrl: event.target.result,
+                    width: image.naturalWidth,
+                    height: image.naturalHeight,
+                    pending: null,
+                    controlPoints: [],
+                    markers: L.layerGroup().addTo(this.map)
+                };
+                document.getElementById('georefPanel').classList.add('active');
+                this.updateGeorefPanel();
+            };
+            image.src = event.target.result;
+        };
+        reader.readAsDataURL(file);
+    }
+    
+    addGeorefImagePoint(e) {
+        if (!this.georef) return;
+        
+        const image = e.target;
+        const rect = image.getBoundingClientRect();
+        this.georef.pending = {
+            x: (e.clientX - rect.left) * this.georef.width / rect.width,
+            y: (e.clientY - rect.top) * this.georef.height / rect.height
+        };
+        this.updateGeorefPanel();
+    }
+    
+    addGeorefMapPoint(latlng) {
+        const georef = this.georef;
+        if (!georef.pending) {
+            alert('Click a point on the plan image first, then the same point on the map.');
+            return;
+        }
+        
+        georef.controlPoints.push({ ...georef.pending, lat: latlng.lat, lng: latlng.lng });
+        georef.pending = null;
+        
+        L.marker(latlng, {
+            icon: L.divIcon({ className: 'georef-marker', html: `${georef.controlPoints.length}`, iconSize: [20, 20] }),
+            interactive: false
+        }).addTo(georef.markers);
+        this.updateGeorefPanel();
+    }
+    
+    removeGeorefPoint(index) {
+        this.georef.controlPoints.splice(index, 1);
+        this.georef.markers.clearLayers();
+        this.georef.controlPoints.forEach((point, i) => L.marker([point.lat, point.lng], {
+            icon: L.divIcon({ className: 'georef-marker', html: `${i + 1}`, iconSize: [20, 20] }),
+            interactive: false
+        }).addTo(this.georef.markers));
+        this.updateGeorefPanel();
+    }
+    
+    updateGeorefPanel() {
+        const georef = this.georef;
+        const count = georef.controlPoints.length;
+        
+        document.getElementById('georefInstructions').textContent = georef.pending
+            ? `Now click point ${count + 1} on the map.`
+            : `Click a recognisable point on the plan (${count} of at least ${MIN_CONTROL_POINTS} placed).`;
+        
+        // Numbered dots on the image, positioned in percent so they follow its scaling
+        const dots = georef.controlPoints.map((point, i) => ({ ...point, label: `${i + 1}` }));
+        if (georef.pending) dots.push({ ...georef.pending, label: '?' });
+        document.getElementById('georefImageMarkers').innerHTML = dots.map(dot =>
+            `<span class="georef-marker" style="left: ${dot.x / georef.width * 100}%; top: ${dot.y / georef.height * 100}%;">${dot.label}</span>`).join('');
+        
+        const list = document.getElementById('georefPointList');
+        list.innerHTML = georef.controlPoints.map((point, i) => `
+            <li>${Math.round(point.x)}, ${Math.round(point.y)} → ${point.lat.toFixed(6)}, ${point.lng.toFixed(6)}
+                <button class="delete-btn" data-index="${i}">✕</button></li>
+        `).join('');
+        list.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => this.removeGeorefPoint(parseInt(button.dataset.index, 10)));
+        });
+        
+        document.getElementById('applyGeorefBtn').disabled = count < MIN_CONTROL_POINTS;
+    }
+    
+    applyGeoreference() {
+        const georef = this.georef;
+        const fit = this.fitAffine(georef.controlPoints);
+        if (!fit) {
+            alert('The control points are in a line. Choose points spread across the plan.');
+            return;
+        }
+        
+        this.addPlan({
+            id: this.createPlanId(),
+            kind: 'image',
+            name: georef.name,
+            visible: true,
+            opacity: 0.6,
+            dataUrl: georef.dataUrl,
+            width: georef.width,
+            height: georef.height,
+            controlPoints: georef.controlPoints,
+            transform: fit.transform,
+            rms: fit.rms
+        });
+        this.cancelGeoreference();
+    }
+    
+    cancelGeoreference() {
+        if (!this.georef) return;
+        
+        this.georef.markers.remove();
+        this.georef = null;
+        document.getElementById('georefPanel').classList.remove('active');
+    }
+    
+    // Least-squares affine fit from image pixels to spherical-mercator metres, the
+    // projection the map is drawn in. Returns null when the points are collinear.
+    fitAffine(controlPoints) {
+        const targets = controlPoints.map(point => L.CRS.EPSG3857.project(L.latLng(point.lat, point.lng)));
+        
+        // Normal equations shared by both output coordinates
+        const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const bx = [0, 0, 0];
+        const by = [0, 0, 0];
+        controlPoints.forEach((point, i) => {
+            const row = [point.x, point.y, 1];
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) m[r][c] += row[r] * row[c];
+                bx[r] += row[r] * targets[i].x;
+                by[r] += row[r] * targets[i].y;
+            }
+        });
+        
+        const solveX = this.solve3(m, bx);
+        const solveY = this.solve3(m, by);
+        if (!solveX || !solveY) return null;
+        
+        const transform = [...solveX, ...solveY];
+        
+        // Residuals in ground metres (mercator metres shrink by cos(latitude))
+        const squares = controlPoints.map((point, i) => {
+            const x = transform[0] * point.x + transform[1] * point.y + transform[2];
+            const y = transform[3] * point.x + transform[4] * point.y + transform[5];
+            const scale = Math.cos(point.lat * Math.PI / 180);
+            return ((x - targets[i].x) * scale) ** 2 + ((y - targets[i].y) * scale) ** 2;
+        });
+        const rms = Math.sqrt(squares.reduce((sum, value) => sum + value, 0) / squares.length);
+        
+        return { transform, rms };
+    }
+    
+    // Cramer's rule for a 3 × 3 system
+    solve3(m, b) {
+        const det = matrix => matrix[0][0] * (matrix[1][1] * matrix[2][2] - matrix[1][2] * matrix[2][1]) -
+            matrix[0][1] * (matrix[1][0] * matrix[2][2] - matrix[1][2] * matrix[2][0]) +
+            matrix[0][2] * (matrix[1][0] * matrix[2][1] - matrix[1][1] * matrix[2][0]);
+        
+        const d = det(m);
+        if (Math.abs(d) < 1e-9 * Math.max(1, Math.abs(m[0][0] * m[1][1] * m[2][2]))) return null;
+        
+        return [0, 1, 2].map(column => det(m.map((row, r) => row.map((value, c) => c === column ? b[r] : value))) / d);
+    }
+    
+    imagePointToLatLng(transform, x, y) {
+        return L.CRS.EPSG3857.unproject(L.point(
+            transform[0] * x + transform[1] * y + transform[2],
+            transform[3] * x + transform[4] * y + transform[5]
+        ));
+    }
+    
+    // DXF plans: LINE, LWPOLYLINE and POLYLINE entities in the chosen projected CRS
+    importDXF(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        const code = document.getElementById('dxfCrs').value;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            let parsed;
+            try {
+                parsed = this.parseDXF(event.target.result);
+            } catch (error) {
+                alert('Error reading DXF file. Please check it is an ASCII DXF.');
+                console.error(error);
+                return;
+            }
+            
+            if (parsed.paths.length === 0) {
+                alert('No LINE, LWPOLYLINE or POLYLINE entities found in this DXF file.');
+                return;
+            }
+            
+            // Drawings in local units or another grid land far outside the UTM ranges
+            const crs = PROJECTED_CRS[code];
+            const outOfRange = parsed.paths.flat().some(p => p.x < 100000 || p.x > 900000 || p.y < 0 || p.y > 9400000);
+            if (outOfRange) {
+                alert(`The DXF coordinates do not fall inside ${crs.name}. Check the coordinate system and that the drawing uses metres.`);
+                return;
+            }
+            
+            const paths = parsed.paths.map(path => path.map(p => {
+                const latlng = this.unprojectFromCrs(p.x, p.y, code);
+                return [Number(latlng.lat.toFixed(7)), Number(latlng.lng.toFixed(7))];
+            }));
+            const bounds = L.latLngBounds(paths.flat());
+            
+            this.addPlan({
+                id: this.createPlanId(),
+                kind: 'dxf',
+                name: file.name,
+                visible: true,
+                opacity: 1,
+                crs: code,
+                paths: paths
+            });
+            this.map.fitBounds(bounds);
+            
+            const skipped = Object.entries(parsed.skipped).map(([type, count]) => `${count} ${type}`);
+            if (skipped.length > 0) {
+                alert(`Imported ${paths.length} path(s).\n\nSkipped unsupported entities: ${skipped.join(', ')}.`);
+            }
+        };
+        reader.readAsText(file);
+    }
+    
+    // Reads the ENTITIES section of an ASCII DXF into paths of { x, y }. Closed
+    // polylines repeat their first vertex; bulges (arcs) are drawn as straight segments.
+    parseDXF(text) {
+        const lines = text.split(/\r?\n/);
+        const entities = [];
+        let section = null;
+        let expectSectionName = false;
+        let entity = null;
+        
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+            const code = parseInt(lines[i].trim(), 10);
+            const value = lines[i + 1].trim();
+            
+            if (code === 0) {
+                if (entity) entities.push(entity);
+                entity = null;
+                
+                if (value === 'SECTION') {
+                    expectSectionName = true;
+                } else if (value === 'ENDSEC') {
+                    section = null;
+                } else if (section === 'ENTITIES') {
+                    entity = { type: value, values: [] };
+                }
+            } else if (code === 2 && expectSectionName) {
+                section = value;
+                expectSectionName = false;
+            } else if (entity) {
+                entity.values.push([code, value]);
+            }
+        }
+        if (entity) entities.push(entity);
+        
+        const vertices = values => {
+            const points = [];
+            values.forEach(([code, value]) => {
+                if (code === 10) points.push({ x: parseFloat(value), y: NaN });
+                if (code === 20 && points.length > 0) points[points.length - 1].y = parseFloat(value);
+            });
+            return points;
+        };
+        const flag = values => parseInt((values.find(([code]) => code === 70) || [70, '0'])[1], 10);
+        const close = (points, closed) => closed && points.length > 2 ? [...points, points[0]] : points;
+        
+        const paths = [];
+        const skipped = {};
+        let polyline = null;
+        
+        entities.forEach(({ type, values }) => {
+            const get = code => parseFloat((values.find(([c]) => c === code) || [code, 'NaN'])[1]);
+            
+            if (type === 'LINE') {
+                paths.push([{ x: get(10), y: get(20) }, { x: get(11), y: get(21) }]);
+            } else if (type === 'LWPOLYLINE') {
+                paths.push(close(vertices(values), flag(values) & 1));
+            } else if (type === 'POLYLINE') {
+                polyline = { closed: flag(values) & 1, points: [] };
+            } else if (type === 'VERTEX' && polyline) {
+                polyline.points.push({ x: get(10), y: get(20) });
+            } else if (type === 'SEQEND' && polyline) {
+                paths.push(close(polyline.points, polyline.closed));
+                polyline = null;
+            } else {
+                skipped[type] = (skipped[type] || 0) + 1;
+            }
+        });
+        
+        return {
+            paths: paths
+                .map(path => path.filter(p => isFinite(p.x) && isFinite(p.y)))
+                .filter(path => path.length >= 2),
+            skipped
+        };
     }
 }
 
@@ -0,0 +1,84 @@
+// Service worker for the offline-first app shell and offline map tiles.
+// The shell (page, script, Leaflet) is precached on install and served cache-first;
+// bump APP_CACHE whenever a shell file changes so clients are offered the update.
+// Tiles downloaded with "Download area for offline" are stored in TILE_CACHE by the
+// page; this worker answers tile requests from that cache before going to the network.
+
+const APP_CACHE = 'map-app-v4';
+const TILE_CACHE = 'map-tiles-v1';
+
+const LEAFLET_BASE = 'https://unpkg.com/leaflet@1.9.4/dist/';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'app.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+const LEAFLET_ASSETS = [
+    'leaflet.css',
+    'leaflet.js',
+    'images/layers.png',
+    'images/layers-2x.png',
+    'images/marker-icon.png',
+    'images/marker-icon-2x.png',
+    'images/marker-shadow.png'
+].map(path => LEAFLET_BASE + path).concat([
+    'https://unpkg.com/leaflet-rotate@0.2.8/dist/leaflet-rotate.js'
+]);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE).then(cache => Promise.all([
+            cache.addAll(APP_SHELL),
+            cache.addAll(LEAFLET_ASSETS.map(url => new Request(url, { mode: 'cors' })))
+        ]))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('map-app-') && key !== APP_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    if (request.mode === 'navigate') {
+        // Query parameters such as ?tileServer= still get the cached page
+        event.respondWith(
+            caches.match('index.html', { cacheName: APP_CACHE, ignoreSearch: true })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+    
+    if (request.destination === 'image') {
+        event.respondWith(
+            caches.open(TILE_CACHE)
+                .then(cache => cache.match(request.url))
+                .then(cached => cached || caches.match(request, { cacheName: APP_CACHE }))
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+    
+    event.respondWith(
+        caches.match(request, { cacheName: APP_CACHE })
+            .then(cached => cached || fetch(request))
+    );
+});